@@ -0,0 +1,33 @@
+// Record the source pages for every game (or the games given as arguments)
+// into the fixtures directory, e.g. `npm run record-fixtures -- sa_lotto us_powerball`.
+// With --missing only pages that have no fixture yet are recorded.
+// Write a matching .expected.json next to each new page before committing it.
+const fs = require('fs');
+const { fetchHTML, htmlFixtures, SOURCE_ADAPTERS, LOTTERY_GAMES } = require('../server');
+
+async function recordFixtures(lotteryTypes, onlyMissing) {
+  htmlFixtures.mode = 'record';
+  let failures = 0;
+  
+  for (const lotteryType of lotteryTypes) {
+    for (const adapter of Object.values(SOURCE_ADAPTERS)) {
+      const url = adapter.resolveUrl(lotteryType);
+      if (!url || (onlyMissing && fs.existsSync(htmlFixtures.pathFor(url)))) continue;
+      try {
+        await fetchHTML(url);
+      } catch (error) {
+        failures++;
+        console.error(`Failed to record ${adapter.id} page for ${lotteryType}:`, error.message);
+      }
+      // Be gentle with the sources
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+  
+  return failures;
+}
+
+const args = process.argv.slice(2);
+const requested = args.filter(arg => arg !== '--missing');
+recordFixtures(requested.length > 0 ? requested : Object.keys(LOTTERY_GAMES), args.includes('--missing'))
+  .then(failures => process.exit(failures > 0 ? 1 : 0));
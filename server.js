@@ -1,685 +1,5429 @@
 const express = require('express');
 const cors = require('cors');
+const cheerio = require('cheerio');
 const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const dns = require('dns');
+const EventEmitter = require('events');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { Readable, pipeline } = require('stream');
+const tls = require('tls');
+const zlib = require('zlib');
 
 const app = express();
-app.use(cors());
 const port = process.env.PORT || 3000;
 
-// Enhanced cache with shorter expiry time for more frequent updates
-const cache = {
-  data: {},
-  timestamps: {},
-  maxAge: 5 * 60 * 1000, // 5 minutes expiry
+// Behind a load balancer, TRUST_PROXY (e.g. 1 or loopback) makes req.ip the
+// client address from X-Forwarded-For, which the per-IP rate limits rely on
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
+// When this process started, the Last-Modified time of responses built from the
+// game catalog, which only changes with a deploy
+const SERVER_STARTED_AT = Date.now();
+
+// Strict mode refuses to serve placeholder data instead of marking it as synthetic
+const STRICT_MODE = process.env.STRICT_MODE === 'true';
+
+// Directory for persistent data such as the draw history
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Number of sources fetched and compared for each game; set CONSENSUS_SOURCES=1
+// to fetch the preferred source alone
+const CONSENSUS_SOURCES = Math.max(1, parseInt(process.env.CONSENSUS_SOURCES, 10) || 2);
+
+// Maximum number of games /api/results fetches at the same time
+const BATCH_CONCURRENCY = Math.max(1, parseInt(process.env.BATCH_CONCURRENCY, 10) || 4);
+
+// Set REQUIRE_API_KEY=true to turn away callers without an API key; otherwise
+// they are served under the anonymous per-IP limits
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+
+// Bootstrap token for the /api/admin endpoints, acting as "admin". Admins should
+// be issued their own tokens with it. Without it, or an issued token, the admin
+// API refuses every request.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// Request limits: a token bucket refilled at requestsPerMinute holding up to burst
+// requests, plus a daily quota. Anonymous callers are limited per IP address,
+// key holders per key, and a key can carry its own limits.
+const RATE_LIMITS = {
+  anonymous: {
+    requestsPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 60,
+    burst: parseInt(process.env.RATE_LIMIT_BURST, 10) || 20,
+    dailyQuota: parseInt(process.env.DAILY_QUOTA, 10) || 2000
+  },
+  apiKey: {
+    requestsPerMinute: parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE, 10) || 600,
+    burst: parseInt(process.env.API_KEY_RATE_LIMIT_BURST, 10) || 100,
+    dailyQuota: parseInt(process.env.API_KEY_DAILY_QUOTA, 10) || 100000
+  }
+};
+
+// The deep status check (/api/status?deep=true) fails when a game's latest
+// successful scrape is older than this many minutes
+const STATUS_MAX_DATA_AGE = (parseInt(process.env.STATUS_MAX_DATA_AGE, 10) || 120) * 60 * 1000;
+
+// Background refresh keeps the cache warm for every game; set REFRESH_SCHEDULER=off to disable
+const REFRESH_SCHEDULER_ENABLED = process.env.REFRESH_SCHEDULER !== 'off';
+
+// Shared cache storage so several instances can serve one warm cache:
+// CACHE_BACKEND=file (under DATA_DIR/cache) or redis (REDIS_URL). The default,
+// memory, keeps entries in this process only.
+const CACHE_BACKEND = process.env.CACHE_BACKEND || 'memory';
+
+// Milliseconds to wait for the Redis cache to answer a command, connecting
+// included, before serving from memory instead
+const REDIS_TIMEOUT = parseInt(process.env.REDIS_TIMEOUT_MS, 10) || 1000;
+
+// Log levels in increasing severity; LOG_LEVEL sets the least severe one written,
+// and 'silent' writes nothing
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Request context (the request ID) for the code running on behalf of a request
+const requestContext = new AsyncLocalStorage();
+
+// Structured logger writing one JSON object per line: time, level, message, the
+// ID of the request being handled and any fields given. Errors in fields are
+// written as their message (and stack, for unexpected errors).
+const logger = {
+  level: LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
   
-  get: function(key) {
-    const now = Date.now();
-    if (this.data[key] && now - this.timestamps[key] < this.maxAge) {
-      return this.data[key];
+  write: function(level, message, fields) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.level)) return;
+    const context = requestContext.getStore();
+    const entry = Object.assign({ time: new Date().toISOString(), level, message }, context ? { requestId: context.requestId } : null);
+    for (const [name, value] of Object.entries(fields || {})) {
+      entry[name] = value instanceof Error ?
+        Object.assign({ message: value.message }, value.status || level !== 'error' ? null : { stack: value.stack }) :
+        value;
     }
-    return null;
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(JSON.stringify(entry) + '\n');
   },
   
-  set: function(key, value) {
-    this.data[key] = value;
-    this.timestamps[key] = Date.now();
-  }
+  debug: function(message, fields) { this.write('debug', message, fields); },
+  info: function(message, fields) { this.write('info', message, fields); },
+  warn: function(message, fields) { this.write('warn', message, fields); },
+  error: function(message, fields) { this.write('error', message, fields); }
 };
 
-// Function to fetch HTML with timeout and error handling
-function fetchHTML(url, timeout = 8000) {
-  return new Promise((resolve, reject) => {
-    const request = https.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/91.0.4472.124 Safari/537.36'
-      },
-      timeout: timeout
-    }, (res) => {
-      // Check for redirect
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetchHTML(res.headers.location, timeout)
-          .then(resolve)
-          .catch(reject);
+// Latency histogram buckets, in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Counters and histograms served in the Prometheus text format on /metrics.
+// Series are keyed by their label values; gauges are computed when scraped.
+const metrics = {
+  families: {},
+  
+  define: function(name, type, help) {
+    this.families[name] = { type, help, series: new Map() };
+  },
+  
+  series: function(name, labels) {
+    const family = this.families[name];
+    const key = JSON.stringify(labels);
+    let series = family.series.get(key);
+    if (!series) {
+      series = family.type === 'histogram' ?
+        { labels, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 } :
+        { labels, value: 0 };
+      family.series.set(key, series);
+    }
+    return series;
+  },
+  
+  increment: function(name, labels = {}, amount = 1) {
+    this.series(name, labels).value += amount;
+  },
+  
+  // Record a duration in milliseconds
+  observe: function(name, labels, durationMs) {
+    const series = this.series(name, labels);
+    const seconds = durationMs / 1000;
+    LATENCY_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) series.buckets[index]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  },
+  
+  // Render every family, plus gauges given as { name: { help, series: [{ labels, value }] } }
+  render: function(gauges = {}) {
+    const formatLabels = (labels) => {
+      const pairs = Object.keys(labels).map(name => `${name}="${String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+      return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    };
+    const lines = [];
+    for (const [name, family] of Object.entries(this.families)) {
+      lines.push(`# HELP ${name} ${family.help}`, `# TYPE ${name} ${family.type}`);
+      for (const series of family.series.values()) {
+        if (family.type !== 'histogram') {
+          lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+        LATENCY_BUCKETS.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels(Object.assign({}, series.labels, { le: String(bound) }))} ${series.buckets[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(Object.assign({}, series.labels, { le: '+Inf' }))} ${series.count}`);
+        lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
       }
-      
-      // Check for successful response
-      if (res.statusCode !== 200) {
-        reject(new Error(`Failed to load page, status code: ${res.statusCode}`));
-        return;
+    }
+    for (const [name, gauge] of Object.entries(gauges)) {
+      lines.push(`# HELP ${name} ${gauge.help}`, `# TYPE ${name} gauge`);
+      gauge.series.forEach(series => lines.push(`${name}${formatLabels(series.labels)} ${series.value}`));
+    }
+    return lines.join('\n') + '\n';
+  }
+};
+
+metrics.define('http_requests_total', 'counter', 'HTTP requests by route, game and status code');
+metrics.define('http_request_duration_seconds', 'histogram', 'HTTP request latency by route and game');
+metrics.define('lottery_cache_requests_total', 'counter', 'Cache lookups by game and result (hit, miss or stale)');
+metrics.define('upstream_fetch_duration_seconds', 'histogram', 'Latency of source page fetches by host');
+metrics.define('upstream_fetch_errors_total', 'counter', 'Failed source page fetches by host');
+metrics.define('upstream_fetch_retries_total', 'counter', 'Retried source page fetches by host');
+metrics.define('lottery_synthetic_responses_total', 'counter', 'Responses that included placeholder (synthetic) data, by game');
+
+// Tag every request with an ID (the caller's X-Request-Id when it looks like one),
+// run its handlers in a request context so log lines carry the ID, and log and
+// count it once the response is done
+app.use((req, res, next) => {
+  const presentedId = req.get('X-Request-Id');
+  const requestId = presentedId && /^[\w.:-]{1,64}$/.test(presentedId) ? presentedId : crypto.randomBytes(8).toString('hex');
+  res.set('X-Request-Id', requestId);
+  
+  const started = Date.now();
+  let finished = false;
+  const onDone = () => {
+    if (finished) return;
+    finished = true;
+    const durationMs = Date.now() - started;
+    // Label by route pattern and known games only, so clients cannot create new series
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const lottery = req.params && getGame(req.params.lotteryType) ? req.params.lotteryType : '';
+    metrics.increment('http_requests_total', { method: req.method, route, lottery, status: String(res.statusCode) });
+    metrics.observe('http_request_duration_seconds', { method: req.method, route, lottery }, durationMs);
+    requestContext.run({ requestId }, () => logger.info('Request handled', {
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs,
+      ip: req.ip,
+      apiKey: req.apiKey ? req.apiKey.id : null
+    }));
+  };
+  res.on('finish', onDone);
+  res.on('close', onDone);
+  
+  requestContext.run({ requestId }, next);
+});
+app.use(express.json());
+
+// File-backed cache storage, one JSON file per key. Files are replaced with a
+// rename so other instances never read a half-written entry.
+function createFileCacheBackend(dir) {
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+  return {
+    name: 'file',
+    
+    get: async function(key) {
+      try {
+        const stored = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+        return stored.expiresAt > Date.now() ? stored.entry : null;
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        return null;
       }
-      
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        resolve(data);
-      });
-    });
+    },
     
-    request.on('error', (err) => {
-      reject(err);
+    set: async function(key, entry, ttl) {
+      const file = fileFor(key);
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(temp, JSON.stringify({ expiresAt: Date.now() + ttl, entry }));
+      await fs.promises.rename(temp, file);
+    },
+    
+    delete: async function(key) {
+      await fs.promises.unlink(fileFor(key)).catch(e => {
+        if (e.code !== 'ENOENT') throw e;
+      });
+    }
+  };
+}
+
+// Cache storage on any server speaking the Redis protocol (Redis, Valkey,
+// KeyDB, ...), using GET, SET with PX and DEL over a single connection.
+// A command not answered within `timeout` ms (connecting included) fails, and
+// the connection is dropped since later replies can no longer be matched to
+// their commands. Until `retryDelay` ms have passed commands then fail straight
+// away, so the cache serves from memory instead of waiting on an unreachable server.
+function createRedisCacheBackend(url, options = {}) {
+  const target = new URL(url);
+  const prefix = 'lottery-api:cache:';
+  const timeout = options.timeout || REDIS_TIMEOUT;
+  const retryDelay = options.retryDelay === undefined ? 5000 : options.retryDelay;
+  const pending = []; // Callbacks waiting for replies, in command order
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let unavailableUntil = 0;
+  
+  const encode = (args) => `*${args.length}\r\n` +
+    args.map(arg => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join('');
+  
+  // Parse one reply from the start of the buffer: { value, length } or null if incomplete
+  const parseReply = (data) => {
+    const lineEnd = data.indexOf('\r\n');
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(data[0]);
+    const line = data.toString('utf8', 1, lineEnd);
+    if (type === '+') return { value: line, length: lineEnd + 2 };
+    if (type === '-') return { value: new Error(`Redis error: ${line}`), length: lineEnd + 2 };
+    if (type === ':') return { value: Number(line), length: lineEnd + 2 };
+    if (type === '$') {
+      const size = Number(line);
+      if (size === -1) return { value: null, length: lineEnd + 2 };
+      if (data.length < lineEnd + 2 + size + 2) return null;
+      return { value: data.toString('utf8', lineEnd + 2, lineEnd + 2 + size), length: lineEnd + 2 + size + 2 };
+    }
+    return { value: new Error(`Unexpected Redis reply type ${type}`), length: data.length };
+  };
+  
+  // Drop a connection, failing everything still waiting on it so callers fall
+  // back to memory or fetching. Does nothing for a connection already dropped.
+  const disconnect = (connection, error) => {
+    if (socket !== connection) return;
+    socket = null;
+    buffer = Buffer.alloc(0);
+    unavailableUntil = Date.now() + retryDelay;
+    connection.destroy();
+    pending.splice(0).forEach(callback => callback(error));
+  };
+  
+  const connect = () => {
+    const connection = net.connect(Number(target.port) || 6379, target.hostname);
+    socket = connection;
+    connection.setNoDelay(true);
+    connection.on('data', (chunk) => {
+      if (socket !== connection) return;
+      buffer = Buffer.concat([buffer, chunk]);
+      let reply;
+      while (buffer.length > 0 && (reply = parseReply(buffer))) {
+        buffer = buffer.slice(reply.length);
+        const callback = pending.shift();
+        if (callback) callback(reply.value);
+      }
     });
+    connection.on('error', (err) => logger.error('Redis cache connection error', { error: err }));
+    connection.on('close', () => disconnect(connection, new Error('Redis connection closed')));
     
-    // Set a timeout for the request
-    request.on('timeout', () => {
-      request.abort();
-      reject(new Error('Request timed out'));
+    const setupFailed = (err) => logger.error('Redis cache setup failed', { error: err });
+    if (target.password) {
+      const credentials = [target.username, target.password].filter(Boolean).map(decodeURIComponent);
+      send(['AUTH'].concat(credentials)).catch(setupFailed);
+    }
+    const db = target.pathname.slice(1);
+    if (db) {
+      send(['SELECT', db]).catch(setupFailed);
+    }
+  };
+  
+  const send = (args) => new Promise((resolve, reject) => {
+    const connection = socket;
+    const timer = setTimeout(() => {
+      disconnect(connection, new Error(`Redis command timed out after ${timeout}ms`));
+    }, timeout);
+    pending.push(value => {
+      clearTimeout(timer);
+      if (value instanceof Error) {
+        reject(value);
+      } else {
+        resolve(value);
+      }
     });
+    connection.write(encode(args));
   });
+  
+  const command = (args) => {
+    if (!socket) {
+      if (Date.now() < unavailableUntil) {
+        return Promise.reject(new Error('Redis is unavailable, retrying shortly'));
+      }
+      connect();
+    }
+    return send(args);
+  };
+  
+  return {
+    name: 'redis',
+    
+    get: async function(key) {
+      const value = await command(['GET', prefix + key]);
+      return value === null ? null : JSON.parse(value);
+    },
+    
+    set: async function(key, entry, ttl) {
+      await command(['SET', prefix + key, JSON.stringify(entry), 'PX', Math.max(1, Math.round(ttl))]);
+    },
+    
+    delete: async function(key) {
+      await command(['DEL', prefix + key]);
+    }
+  };
 }
 
-// Lottery site URLs mapping - PRIMARY SOURCES (lottoland.co.za)
-const PRIMARY_LOTTERY_URLS = {
-  'sa_lotto': 'https://www.lottoland.co.za/lotto/results-history',
-  'sa_lotto_plus1': 'https://www.lottoland.co.za/lotto-plus/results-history',
-  'sa_lotto_plus2': 'https://www.lottoland.co.za/lotto-plus-2/results-history',
-  'sa_powerball': 'https://www.lottoland.co.za/powerball/results-history',
-  'sa_powerball_plus': 'https://www.lottoland.co.za/powerball-plus/results-history',
-  'us_megamillions': 'https://www.lottoland.co.za/mega-millions/results-history',
-  'us_powerball': 'https://www.lottoland.co.za/powerball-usa/results-history',
-  'euro_jackpot': 'https://www.lottoland.co.za/eurojackpot/results-history',
-  'euro_dreams': 'https://www.lottoland.co.za/eurodreams/results-history',
-  'spain_euromillions': 'https://www.lottoland.co.za/euromillions/results-history',
-  'spain_primitiva': 'https://www.lottoland.co.za/la-primitiva/results-history',
-  'france_loto': 'https://www.lottoland.co.za/french-lotto/results-history',
-  'italy_superenalotto': 'https://www.lottoland.co.za/superenalotto/results-history',
-  'germany_lotto': 'https://www.lottoland.co.za/german-lotto/results-history',
-  'aus_ozlotto': 'https://www.lottoland.co.za/oz-lotto/results-history',
-  'aus_lotto': 'https://www.lottoland.co.za/saturday-lotto/results-history',
-  'aus_powerball': 'https://www.lottoland.co.za/australian-powerball/results-history',
-  'canada_649': 'https://www.lottoland.co.za/canada-lotto-649/results-history',
-  'nz_lotto': 'https://www.lottoland.co.za/new-zealand-powerball/results-history',
-  'ph_grandlotto': 'https://www.lottoland.co.za/philippines-ultra-lotto/results-history'
-};
+// Create the configured shared cache storage, or null to keep entries in memory only
+function createCacheBackend(type) {
+  if (type === 'file') {
+    return createFileCacheBackend(path.join(DATA_DIR, 'cache'));
+  }
+  if (type === 'redis') {
+    return createRedisCacheBackend(process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  if (type !== 'memory') {
+    logger.warn('Unknown CACHE_BACKEND, keeping the cache in memory', { backend: type });
+  }
+  return null;
+}
 
-// FALLBACK SOURCES (lotteryextreme.com)
-const FALLBACK_LOTTERY_URLS = {
-  'sa_lotto': 'https://www.lotteryextreme.com/south-africa-lotto/results',
-  'sa_lotto_plus1': 'https://www.lotteryextreme.com/south-africa-lotto-plus/results',
-  'sa_lotto_plus2': 'https://www.lotteryextreme.com/south-africa-lotto-plus-2/results',
-  'sa_powerball': 'https://www.lotteryextreme.com/south-africa-powerball/results',
-  'sa_powerball_plus': 'https://www.lotteryextreme.com/south-africa-powerball-plus/results',
-  'us_megamillions': 'https://www.lotteryextreme.com/mega-millions/results',
-  'us_powerball': 'https://www.lotteryextreme.com/powerball/results',
-  'euro_jackpot': 'https://www.lotteryextreme.com/eurojackpot/results',
-  'euro_dreams': 'https://www.lotteryextreme.com/eurodreams/results',
-  'spain_euromillions': 'https://www.lotteryextreme.com/euromillions/results',
-  'spain_primitiva': 'https://www.lotteryextreme.com/la-primitiva/results',
-  'france_loto': 'https://www.lotteryextreme.com/france-loto/results',
-  'italy_superenalotto': 'https://www.lotteryextreme.com/superenalotto/results',
-  'germany_lotto': 'https://www.lotteryextreme.com/german-lotto/results',
-  'aus_ozlotto': 'https://www.lotteryextreme.com/oz-lotto/results',
-  'aus_lotto': 'https://www.lotteryextreme.com/saturday-lotto/results',
-  'aus_powerball': 'https://www.lotteryextreme.com/australia-powerball/results',
-  'canada_649': 'https://www.lotteryextreme.com/canada-lotto-649/results',
-  'nz_lotto': 'https://www.lotteryextreme.com/new-zealand-powerball/results',
-  'ph_grandlotto': 'https://www.lotteryextreme.com/philippines-ultra-lotto/results'
+// Lottery data cache. Recently used entries are kept in memory (at most
+// maxEntries, least recently used evicted first) in front of the optional shared
+// backend. Entries outlive their TTL so they can still be served while being
+// revalidated (staleWhileRevalidate) or when every source is failing (staleIfError).
+const cache = {
+  entries: new Map(), // key -> { value, storedAt, maxAge }, oldest use first
+  maxEntries: Math.max(1, parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 100),
+  maxAge: 30 * 60 * 1000, // TTL away from draw times
+  drawTimeMaxAge: 2 * 60 * 1000, // TTL around draw times, while results are coming in
+  drawWindowBefore: 15 * 60 * 1000,
+  drawWindowAfter: 3 * 60 * 60 * 1000,
+  staleWhileRevalidate: 10 * 60 * 1000,
+  staleIfError: 7 * 24 * 60 * 60 * 1000,
+  backend: createCacheBackend(CACHE_BACKEND),
+  
+  // TTL for a game: short around its draws, long otherwise
+  ttlFor: function(key, now = new Date()) {
+    if (!getGame(key)) return this.maxAge;
+    const [lastDraw] = findDraws(key, now, 1, -1);
+    const [nextDraw] = findDraws(key, now, 1, 1);
+    const nearDraw = (lastDraw && now - lastDraw.time < this.drawWindowAfter) ||
+      (nextDraw && nextDraw.time - now < this.drawWindowBefore);
+    return nearDraw ? this.drawTimeMaxAge : this.maxAge;
+  },
+  
+  remember: function(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  },
+  
+  // The entry for a key, fresh or not, as long as it is still within staleIfError.
+  // Checks memory first, then the shared backend.
+  lookup: async function(key) {
+    let entry = this.entries.get(key);
+    if (!entry && this.backend) {
+      try {
+        entry = await this.backend.get(key);
+      } catch (e) {
+        logger.error('Error reading from the shared cache', { key, backend: this.backend.name, error: e });
+      }
+    }
+    if (!entry || Date.now() - entry.storedAt >= entry.maxAge + this.staleIfError) {
+      return null;
+    }
+    this.remember(key, entry);
+    return entry;
+  },
+  
+  // The cached value if it is still fresh
+  get: async function(key) {
+    const entry = await this.lookup(key);
+    return entry && this.isFresh(entry) ? entry.value : null;
+  },
+  
+  // The value held in memory regardless of age, without touching the backend
+  peek: function(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.value : null;
+  },
+  
+  // Milliseconds until the in-memory entry for a key expires (0 when missing or expired)
+  remainingLifetime: function(key) {
+    const entry = this.entries.get(key);
+    return entry ? Math.max(0, entry.storedAt + entry.maxAge - Date.now()) : 0;
+  },
+  
+  isFresh: function(entry) {
+    return Date.now() - entry.storedAt < entry.maxAge;
+  },
+  
+  set: function(key, value, maxAge) {
+    const entry = { value, storedAt: Date.now(), maxAge: maxAge || this.ttlFor(key) };
+    this.remember(key, entry);
+    if (this.backend) {
+      this.backend.set(key, entry, entry.maxAge + this.staleIfError)
+        .catch(e => logger.error('Error writing to the shared cache', { key, backend: this.backend.name, error: e }));
+    }
+  },
+  
+  delete: async function(key) {
+    this.entries.delete(key);
+    if (this.backend) {
+      await this.backend.delete(key);
+    }
+  }
 };
 
-// Draw days and times for accurate countdown (standard draw schedules)
-const LOTTERY_SCHEDULES = {
-  'sa_lotto': { days: [3, 6], time: '20:30' }, // Wednesday and Saturday at 8:30 PM
-  'sa_lotto_plus1': { days: [3, 6], time: '20:30' }, // Same as SA Lotto
-  'sa_lotto_plus2': { days: [3, 6], time: '20:30' }, // Same as SA Lotto
-  'sa_powerball': { days: [2, 5], time: '21:00' }, // Tuesday and Friday at 9:00 PM
-  'sa_powerball_plus': { days: [2, 5], time: '21:00' }, // Same as SA Powerball
-  'us_megamillions': { days: [2, 5], time: '23:00' }, // Tuesday and Friday at 11:00 PM
-  'us_powerball': { days: [1, 4], time: '22:59' }, // Monday and Thursday at 10:59 PM
-  'euro_jackpot': { days: [2, 5], time: '21:00' }, // Tuesday and Friday at 9:00 PM
-  'euro_dreams': { days: [1, 4], time: '21:00' }, // Monday and Thursday at 9:00 PM
-  'spain_euromillions': { days: [2, 5], time: '21:45' }, // Tuesday and Friday at 9:45 PM
-  // Add other lotteries' schedules here
-};
+// Key identifying a draw's result whatever order the source lists the balls in
+function drawResultKey(draw) {
+  const sorted = (numbers) => (numbers || []).slice().sort((a, b) => a - b).join(',');
+  return `${sorted(draw.numbers)}|${sorted(draw.bonusNumbers)}`;
+}
 
-// Function to extract data from lottoland.co.za
-async function extractFromLottoland(html, lotteryType) {
-  try {
-    // Create base data structure
-    const lotteryData = {
-      name: lotteryType.replace(/_/g, ' ').toUpperCase(),
-      logo: lotteryType.replace(/_/g, ' ').toUpperCase(),
-      nextDraw: calculateNextDrawDate(lotteryType),
-      jackpot: "Calculating...",
-      lastDrawDate: new Date().toISOString().split('T')[0],
-      winningNumbers: [],
-      powerball: null,
-      hasPowerball: ['sa_powerball', 'sa_powerball_plus', 'us_powerball', 'us_megamillions', 'euro_jackpot', 'aus_powerball'].includes(lotteryType),
-      divisions: [],
-      historicalResults: []
-    };
+// Persistent draw history, stored as an append-only JSON Lines file.
+// Every line is a full draw record; when a draw is updated a new line is appended
+// and the last line for a game and draw date wins when the file is loaded.
+const historyStore = {
+  file: path.join(DATA_DIR, 'draw-history.jsonl'),
+  draws: {}, // lotteryType -> { drawDate -> record }
+  reportedConflicts: new Set(),
+  loaded: false,
+  writeQueue: Promise.resolve(),
+  
+  load: function() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!fs.existsSync(this.file)) return;
     
-    // Extract winning numbers
-    const numbersMatch = html.match(/latest\s+results|latest\s+winning\s+numbers|latest\s+draw\s+results|results.*?<div[^>]*>(.*?)<\/div>/is);
-    if (numbersMatch) {
-      const numbersSection = numbersMatch[0];
-      const digitMatches = numbersSection.match(/\d+/g);
-      
-      if (digitMatches && digitMatches.length >= 5) {
-        // Determine the number of main balls based on lottery type
-        let mainBallCount = 6;
-        if (lotteryType.includes('us_megamillions') || lotteryType.includes('us_powerball') || 
-            lotteryType.includes('sa_powerball') || lotteryType.includes('euro_jackpot')) {
-          mainBallCount = 5;
-        }
-        
-        // Get main numbers
-        lotteryData.winningNumbers = digitMatches.slice(0, mainBallCount).map(Number);
-        
-        // Get bonus/powerball number if applicable
-        if (lotteryData.hasPowerball && digitMatches.length > mainBallCount) {
-          lotteryData.powerball = Number(digitMatches[mainBallCount]);
-        }
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        this.index(record);
+      } catch (e) {
+        logger.warn('Skipping corrupt line in draw history file', { file: this.file });
       }
     }
+  },
+  
+  index: function(record) {
+    if (!this.draws[record.lottery]) {
+      this.draws[record.lottery] = {};
+    }
+    this.draws[record.lottery][record.date] = record;
+  },
+  
+  append: function(record) {
+    const line = JSON.stringify(record) + '\n';
+    // Chain writes so lines are appended in the order they were recorded
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.mkdir(path.dirname(this.file), { recursive: true }))
+      .then(() => fs.promises.appendFile(this.file, line))
+      .catch(err => logger.error('Error writing draw history file', { file: this.file, error: err }));
+    return this.writeQueue;
+  },
+  
+  // Save a draw, deduplicated by game and draw date. An existing draw is only
+  // rewritten when the new record adds divisions, a jackpot or a draw number it was missing,
+  // or replaced outright with options.replace (for admin overrides). A source
+  // reporting other numbers for a stored draw is listed with the conflicts for an
+  // admin to review; the stored draw is kept until it is corrected with an override.
+  // Returns 'created', 'updated' or null when nothing changed.
+  save: function(lotteryType, draw, options = {}) {
+    this.load();
+    const existing = this.draws[lotteryType] && this.draws[lotteryType][draw.date];
+    const record = Object.assign({ lottery: lotteryType }, draw);
     
-    // Extract jackpot
-    const jackpotMatch = html.match(/jackpot.*?([R$€£A][\d,.]+\s*[mM]illion|[R$€£A][\d,.]+)/i);
-    if (jackpotMatch && jackpotMatch[1]) {
-      lotteryData.jackpot = jackpotMatch[1];
+    if (existing && options.replace) {
+      const fields = ['numbers', 'bonusNumbers', 'drawNumber', 'divisions', 'jackpot', 'source'];
+      if (fields.every(field => JSON.stringify(existing[field]) === JSON.stringify(draw[field]))) {
+        return null;
+      }
+      Object.assign(record, { recordedAt: existing.recordedAt, updatedAt: new Date().toISOString() });
+    } else if (existing) {
+      if (drawResultKey(existing) !== drawResultKey(draw)) {
+        this.reportConflict(lotteryType, existing, draw);
+        return null;
+      }
+      const addsDivisions = (!existing.divisions || existing.divisions.length === 0) && draw.divisions && draw.divisions.length > 0;
+      const addsJackpot = !existing.jackpot && draw.jackpot;
+      const addsDrawNumber = !existing.drawNumber && draw.drawNumber;
+      if (!addsDivisions && !addsJackpot && !addsDrawNumber) {
+        return null;
+      }
+      Object.assign(record, existing, {
+        divisions: addsDivisions ? draw.divisions : existing.divisions,
+        rollover: addsDivisions ? draw.rollover : existing.rollover,
+        jackpot: addsJackpot ? draw.jackpot : existing.jackpot,
+        drawNumber: addsDrawNumber ? draw.drawNumber : existing.drawNumber || null,
+        updatedAt: new Date().toISOString()
+      });
     } else {
-      // Default jackpot based on lottery type
-      lotteryData.jackpot = getDefaultJackpot(lotteryType);
+      record.recordedAt = new Date().toISOString();
     }
     
-    // Extract last draw date
-    const dateMatch = html.match(/draw\s+date|drawn\s+on.*?(\d{1,2}[\/\-\s\.]\d{1,2}[\/\-\s\.]\d{2,4}|\d{1,2}\s+[a-zA-Z]+\s+\d{4})/i);
-    if (dateMatch && dateMatch[1]) {
+    this.index(record);
+    this.append(record);
+    return existing ? 'updated' : 'created';
+  },
+  
+  // List a source disagreeing with a stored draw with the conflicts, once per result
+  reportConflict: function(lotteryType, existing, draw) {
+    const key = `${lotteryType}|${draw.date}|${draw.source}|${drawResultKey(existing)}|${drawResultKey(draw)}`;
+    if (this.reportedConflicts.has(key)) return;
+    this.reportedConflicts.add(key);
+    
+    const sources = [
+      { source: existing.source, stored: true, numbers: existing.numbers, bonusNumbers: existing.bonusNumbers || [] },
+      { source: draw.source, numbers: draw.numbers, bonusNumbers: draw.bonusNumbers || [] }
+    ];
+    consensusConflicts.add({ lottery: lotteryType, drawDate: draw.date, detectedAt: new Date().toISOString(), sources });
+    logger.warn('Stored numbers differ from the source, keeping the stored draw', { lottery: lotteryType, date: draw.date, sources });
+  },
+  
+  // Draws for a game, newest first, optionally limited to a date range
+  list: function(lotteryType, from, to) {
+    this.load();
+    return Object.values(this.draws[lotteryType] || {})
+      .filter(record => (!from || record.date >= from) && (!to || record.date <= to))
+      .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+  }
+};
+
+// Whether a field holds a real value: scraped from a source or entered by an admin
+function isKnownField(info) {
+  return info.type === 'scraped' || info.type === 'override';
+}
+
+// Save every scraped or overridden draw in freshly extracted lottery data to the
+// history store. Overridden draws, and the draws in `replaceDates` (whose
+// overrides were removed), replace what is stored.
+// Returns what happened to the latest draw: 'created', 'updated' or null.
+function recordDrawHistory(lotteryType, lotteryData, replaceDates = []) {
+  const fields = lotteryData.provenance.fields;
+  const { source, fetchedAt } = lotteryData.provenance;
+  let latestDrawChange = null;
+  
+  // The latest draw carries the prize divisions and jackpot
+  if (isKnownField(fields.winningNumbers) && isKnownField(fields.lastDrawDate)) {
+    const overridden = fields.winningNumbers.type === 'override';
+    latestDrawChange = historyStore.save(lotteryType, {
+      date: lotteryData.lastDrawDate,
+      drawNumber: isKnownField(fields.drawNumber) ? lotteryData.drawNumber : null,
+      numbers: lotteryData.winningNumbers,
+      bonusNumbers: lotteryData.bonusNumbers,
+      powerball: lotteryData.powerball,
+      divisions: isKnownField(fields.divisions) ? lotteryData.divisions : [],
+      rollover: lotteryData.rollover,
+      jackpot: isKnownField(fields.jackpot) ? lotteryData.jackpot : null,
+      source: overridden ? 'admin' : source,
+      fetchedAt
+    }, { replace: overridden || replaceDates.includes(lotteryData.lastDrawDate) });
+  }
+  
+  if (fields.historicalResults.type === 'scraped') {
+    for (const result of lotteryData.historicalResults) {
+      historyStore.save(lotteryType, {
+        date: result.date,
+        drawNumber: result.drawNumber || null,
+        numbers: result.numbers,
+        bonusNumbers: result.bonusNumbers,
+        powerball: result.powerball,
+        divisions: result.divisions || [],
+        rollover: result.rollover === undefined ? null : result.rollover,
+        jackpot: null,
+        source: result.override ? 'admin' : source,
+        fetchedAt
+      }, { replace: Boolean(result.override) || replaceDates.includes(result.date) });
+    }
+  }
+  
+  return latestDrawChange;
+}
+
+// Admin audit trail, an append-only JSON Lines file of every change made through
+// the admin API: who made it, what it changed (before and after) and why
+const auditLog = {
+  file: path.join(DATA_DIR, 'admin-audit.jsonl'),
+  entries: [],
+  loaded: false,
+  writeQueue: Promise.resolve(),
+  
+  load: function() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!fs.existsSync(this.file)) return;
+    for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
       try {
-        const date = new Date(dateMatch[1]);
-        if (!isNaN(date.getTime())) {
-          lotteryData.lastDrawDate = date.toISOString().split('T')[0];
-        }
-      } catch (e) { /* Use default date if parsing fails */ }
-    }
-    
-    // Extract prize divisions
-    const prizePattern = /<tr[^>]*>.*?<td[^>]*>(.*?)<\/td>.*?<td[^>]*>(.*?)<\/td>.*?<td[^>]*>(.*?)<\/td>.*?<td[^>]*>(.*?)<\/td>.*?<\/tr>/gs;
-    let prizeMatch;
-    while ((prizeMatch = prizePattern.exec(html)) !== null) {
-      if (prizeMatch.length >= 5) {
-        // Remove HTML tags
-        const cleanText = (text) => text.replace(/<[^>]*>/g, '').trim();
-        
-        const division = cleanText(prizeMatch[1]);
-        const match = cleanText(prizeMatch[2]);
-        const winners = parseInt(cleanText(prizeMatch[3]).replace(/[^\d]/g, '')) || 0;
-        const prize = cleanText(prizeMatch[4]);
-        
-        // Skip header rows and empty rows
-        if (division && match && !division.toLowerCase().includes('division') && 
-            !division.toLowerCase().includes('tier')) {
-          lotteryData.divisions.push({ division, match, winners, prize });
-        }
+        this.entries.push(JSON.parse(line));
+      } catch (e) {
+        logger.warn('Skipping corrupt line in admin audit file', { file: this.file });
       }
     }
-    
-    // If no divisions were found, create default ones
-    if (lotteryData.divisions.length === 0) {
-      lotteryData.divisions = createDefaultDivisions(lotteryType);
-    }
-    
-    // Extract historical results
-    const historyPattern = /<tr[^>]*>.*?<td[^>]*>(.*?)<\/td>.*?<td[^>]*>(.*?)<\/td>.*?<\/tr>/gs;
-    let historyMatch;
-    const histResults = [];
-    
-    while ((historyMatch = historyPattern.exec(html)) !== null) {
-      if (historyMatch.length >= 3) {
-        const dateText = historyMatch[1].replace(/<[^>]*>/g, '').trim();
-        const numbersText = historyMatch[2];
-        
-        try {
-          // Skip header rows
-          if (dateText && !dateText.toLowerCase().includes('date') && !dateText.toLowerCase().includes('draw')) {
-            const date = new Date(dateText);
-            const dateStr = !isNaN(date.getTime()) ? date.toISOString().split('T')[0] : null;
-            
-            if (dateStr) {
-              // Extract numbers from the cells
-              const nums = (numbersText.match(/\d+/g) || []).map(Number);
-              
-              if (nums.length >= 5) {
-                // Same logic as above to separate main numbers and bonus/powerball
-                let mainBallCount = 6;
-                if (lotteryType.includes('us_megamillions') || lotteryType.includes('us_powerball') || 
-                    lotteryType.includes('sa_powerball') || lotteryType.includes('euro_jackpot')) {
-                  mainBallCount = 5;
-                }
-                
-                const mainNumbers = nums.slice(0, mainBallCount);
-                const powerball = lotteryData.hasPowerball && nums.length > mainBallCount ? 
-                                 nums[mainBallCount] : null;
-                
-                histResults.push({
-                  date: dateStr,
-                  numbers: mainNumbers,
-                  powerball: powerball
-                });
-              }
-            }
-          }
-        } catch (e) { /* Skip entries that can't be parsed */ }
-      }
-    }
-    
-    // Use the extracted historical results or generate placeholders if none found
-    lotteryData.historicalResults = histResults.length > 0 ? 
-      histResults.slice(0, 50) : // Store up to 50 results
-      generateHistoricalResults(lotteryType, 50); // Generate 50 realistic historical results
-    
-    return lotteryData;
-  } catch (error) {
-    console.error(`Error extracting data from Lottoland for ${lotteryType}:`, error);
+  },
+  
+  // Record a change: { actor, action, lottery, date, before, after, reason }
+  record: function(change) {
+    this.load();
+    const context = requestContext.getStore();
+    const entry = Object.assign({
+      id: crypto.randomBytes(8).toString('hex'),
+      at: new Date().toISOString(),
+      requestId: context ? context.requestId : null
+    }, change);
+    this.entries.push(entry);
+    logger.info('Admin change', { actor: entry.actor, action: entry.action, lottery: entry.lottery || null, date: entry.date || null });
+    const line = JSON.stringify(entry) + '\n';
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.mkdir(path.dirname(this.file), { recursive: true }))
+      .then(() => fs.promises.appendFile(this.file, line))
+      .catch(err => logger.error('Error writing admin audit file', { file: this.file, error: err }));
+    return entry;
+  },
+  
+  // Changes, newest first, optionally for one game
+  list: function(lotteryType, limit = 100) {
+    this.load();
+    return this.entries.filter(entry => !lotteryType || entry.lottery === lotteryType).slice(-limit).reverse();
+  }
+};
+
+// Admin overrides, persisted as a JSON file: draws entered or corrected by hand
+// (by game and draw date) and sources forced for a game. A pinned override is
+// kept over whatever the sources report; an unpinned one stands in until the
+// sources publish that draw. Dates whose overrides were removed are remembered
+// until the next scrape so their stored history is replaced by the scraped draw.
+const overrideStore = {
+  file: path.join(DATA_DIR, 'overrides.json'),
+  draws: {}, // lotteryType -> { drawDate -> override }
+  forcedSources: {}, // lotteryType -> source id
+  released: {}, // lotteryType -> [drawDate]
+  loaded: false,
+  writeQueue: Promise.resolve(),
+  
+  load: function() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!fs.existsSync(this.file)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.draws = stored.draws || {};
+      this.forcedSources = stored.forcedSources || {};
+    } catch (e) {
+      logger.error('Error reading overrides file', { file: this.file, error: e });
+    }
+  },
+  
+  persist: function() {
+    const contents = JSON.stringify({ draws: this.draws, forcedSources: this.forcedSources }, null, 2);
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.mkdir(path.dirname(this.file), { recursive: true }))
+      .then(() => fs.promises.writeFile(this.file, contents))
+      .catch(err => logger.error('Error writing overrides file', { file: this.file, error: err }));
+    return this.writeQueue;
+  },
+  
+  // Overrides for a game (or every game), oldest draw first
+  list: function(lotteryType) {
+    this.load();
+    const games = lotteryType ? [lotteryType] : Object.keys(this.draws);
+    return [].concat(...games.map(type => Object.values(this.draws[type] || {})))
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  },
+  
+  get: function(lotteryType, date) {
+    this.load();
+    return (this.draws[lotteryType] && this.draws[lotteryType][date]) || null;
+  },
+  
+  put: function(override) {
+    this.load();
+    this.draws[override.lottery] = this.draws[override.lottery] || {};
+    this.draws[override.lottery][override.date] = override;
+    this.persist();
+  },
+  
+  remove: function(lotteryType, date) {
+    this.load();
+    const override = this.get(lotteryType, date);
+    if (!override) return null;
+    delete this.draws[lotteryType][date];
+    this.released[lotteryType] = (this.released[lotteryType] || []).concat(date);
+    this.persist();
+    return override;
+  },
+  
+  // Dates whose overrides were removed since the last call
+  takeReleased: function(lotteryType) {
+    const dates = this.released[lotteryType] || [];
+    delete this.released[lotteryType];
+    return dates;
+  },
+  
+  getForcedSource: function(lotteryType) {
+    this.load();
+    return this.forcedSources[lotteryType] || null;
+  },
+  
+  setForcedSource: function(lotteryType, sourceId) {
+    this.load();
+    if (sourceId) {
+      this.forcedSources[lotteryType] = sourceId;
+    } else {
+      delete this.forcedSources[lotteryType];
+    }
+    this.persist();
+  }
+};
+
+// Recorded source pages for offline runs. With FETCH_MODE=record every fetched
+// page is also saved to the fixtures directory; with FETCH_MODE=replay pages are
+// served from there and the network is never used.
+const htmlFixtures = {
+  mode: process.env.FETCH_MODE || 'live',
+  dir: process.env.FIXTURES_DIR || path.join(__dirname, 'test', 'fixtures', 'html'),
+  
+  // Fixture file for a URL, e.g. www.lottoland.co.za/lotto-results-history.html
+  pathFor: function(url) {
+    const target = new URL(url);
+    const name = (target.pathname + target.search).replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9.-]+/g, '-') || 'index';
+    return path.join(this.dir, target.hostname, `${name}.html`);
+  },
+  
+  save: async function(url, html) {
+    const file = this.pathFor(url);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, html);
+    logger.info('Recorded fixture', { url, file });
+    return html;
+  },
+  
+  load: async function(url) {
+    const file = this.pathFor(url);
+    try {
+      return await fs.promises.readFile(file, 'utf8');
+    } catch (e) {
+      throw new Error(`No fixture recorded for ${url} (expected ${file})`);
+    }
+  }
+};
+
+// Upstream fetch settings. Each attempt has its own timeout; transient failures
+// (resets, timeouts, 429 and 5xx responses) are retried with jittered backoff.
+// Requests to one host are limited to `hostConcurrency` at a time, started at
+// least `hostMinInterval` apart, so a slow site cannot tie up every socket and
+// no site sees bursts from us. `deadline` bounds a whole fetch: waiting for a
+// slot, every attempt and the backoff between them.
+const FETCH_SETTINGS = {
+  userAgent: process.env.FETCH_USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/91.0.4472.124 Safari/537.36',
+  timeout: parseInt(process.env.FETCH_TIMEOUT, 10) || 8000,
+  deadline: parseInt(process.env.FETCH_DEADLINE, 10) || 20000,
+  maxRedirects: 5,
+  maxBodyBytes: parseInt(process.env.FETCH_MAX_BODY_BYTES, 10) || 5 * 1024 * 1024,
+  retries: process.env.FETCH_RETRIES === undefined ? 2 : Math.max(0, parseInt(process.env.FETCH_RETRIES, 10) || 0),
+  retryBaseDelay: 1000,
+  maxRetryDelay: 30 * 1000,
+  hostConcurrency: Math.max(1, parseInt(process.env.FETCH_HOST_CONCURRENCY, 10) || 2),
+  hostMinInterval: process.env.FETCH_HOST_MIN_INTERVAL === undefined ? 1000 : Math.max(0, parseInt(process.env.FETCH_HOST_MIN_INTERVAL, 10) || 0)
+};
+
+// Function to fetch HTML, recording or replaying fixtures depending on htmlFixtures.mode
+function fetchHTML(url, timeout = FETCH_SETTINGS.timeout) {
+  if (htmlFixtures.mode === 'replay') {
+    return htmlFixtures.load(url);
+  }
+  const host = new URL(url).hostname;
+  const started = Date.now();
+  const fetched = fetchLiveHTML(url, timeout).then(html => {
+    metrics.observe('upstream_fetch_duration_seconds', { host }, Date.now() - started);
+    return html;
+  }, error => {
+    metrics.observe('upstream_fetch_duration_seconds', { host }, Date.now() - started);
+    metrics.increment('upstream_fetch_errors_total', { host });
     throw error;
+  });
+  return htmlFixtures.mode === 'record' ? fetched.then(html => htmlFixtures.save(url, html)) : fetched;
+}
+
+// Per-host request slots. Callers wait in turn for a slot, which is handed out
+// when fewer than hostConcurrency requests to the host are running and at least
+// hostMinInterval has passed since the last one started. A caller still waiting
+// at its deadline leaves the queue with a timeout error.
+const hostThrottle = {
+  hosts: new Map(),
+  
+  stateFor: function(host) {
+    let state = this.hosts.get(host);
+    if (!state) {
+      state = { active: 0, lastStart: 0, queue: [], timer: null };
+      this.hosts.set(host, state);
+    }
+    return state;
+  },
+  
+  acquire: function(host, deadline = Infinity) {
+    return new Promise((resolve, reject) => {
+      const state = this.stateFor(host);
+      const waiter = { resolve, timer: null };
+      if (deadline !== Infinity) {
+        waiter.timer = setTimeout(() => {
+          state.queue.splice(state.queue.indexOf(waiter), 1);
+          reject(Object.assign(new Error(`Timed out waiting for a request slot on ${host}`), { code: 'ETIMEDOUT' }));
+        }, Math.max(0, deadline - Date.now()));
+      }
+      state.queue.push(waiter);
+      this.drain(host);
+    });
+  },
+  
+  release: function(host) {
+    this.stateFor(host).active--;
+    this.drain(host);
+  },
+  
+  drain: function(host) {
+    const state = this.stateFor(host);
+    if (state.timer || state.queue.length === 0 || state.active >= FETCH_SETTINGS.hostConcurrency) {
+      return;
+    }
+    const wait = state.lastStart + FETCH_SETTINGS.hostMinInterval - Date.now();
+    if (wait > 0) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        this.drain(host);
+      }, wait);
+      return;
+    }
+    state.active++;
+    state.lastStart = Date.now();
+    const waiter = state.queue.shift();
+    clearTimeout(waiter.timer);
+    waiter.resolve();
+    this.drain(host);
+  }
+};
+
+// The proxy to use for a URL from HTTPS_PROXY / HTTP_PROXY, or null when there is
+// none or the host matches NO_PROXY (a comma-separated list of host suffixes, or *)
+function getProxyFor(target) {
+  const env = (name) => process.env[name] || process.env[name.toLowerCase()];
+  const proxy = target.protocol === 'https:' ? env('HTTPS_PROXY') : env('HTTP_PROXY');
+  if (!proxy) {
+    return null;
+  }
+  const noProxy = (env('NO_PROXY') || '').split(',').map(entry => entry.trim().replace(/^\*?\./, '')).filter(Boolean);
+  if (noProxy.some(entry => entry === '*' || target.hostname === entry || target.hostname.endsWith(`.${entry}`))) {
+    return null;
+  }
+  return new URL(proxy.includes('://') ? proxy : `http://${proxy}`);
+}
+
+// Proxy-Authorization header value for credentials in the proxy URL
+function getProxyAuthorization(proxy) {
+  if (!proxy.username) {
+    return null;
+  }
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return `Basic ${Buffer.from(credentials).toString('base64')}`;
+}
+
+// Open a TLS connection to an https target through a proxy with CONNECT
+function openProxyTunnel(proxy, target, timeout) {
+  return new Promise((resolve, reject) => {
+    const client = proxy.protocol === 'https:' ? https : http;
+    const port = target.port || 443;
+    const headers = { Host: `${target.hostname}:${port}` };
+    const authorization = getProxyAuthorization(proxy);
+    if (authorization) {
+      headers['Proxy-Authorization'] = authorization;
+    }
+    const request = client.request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: `${target.hostname}:${port}`,
+      headers: headers,
+      timeout: timeout
+    });
+    request.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        return reject(Object.assign(new Error(`Proxy refused the tunnel, status code: ${res.statusCode}`), { retryable: res.statusCode >= 500 }));
+      }
+      resolve(tls.connect({ socket: socket, servername: target.hostname }));
+    });
+    request.on('error', reject);
+    request.on('timeout', () => {
+      request.destroy(Object.assign(new Error('Proxy connection timed out'), { code: 'ETIMEDOUT' }));
+    });
+    request.end();
+  });
+}
+
+// Read a response body, decompressing gzip, deflate and brotli, and fail once it
+// grows past maxBodyBytes
+function readResponseBody(res) {
+  return new Promise((resolve, reject) => {
+    const encoding = (res.headers['content-encoding'] || 'identity').trim().toLowerCase();
+    const decoders = {
+      gzip: zlib.createGunzip,
+      'x-gzip': zlib.createGunzip,
+      deflate: zlib.createInflate,
+      br: zlib.createBrotliDecompress
+    };
+    if (encoding !== 'identity' && !decoders[encoding]) {
+      res.resume();
+      return reject(new Error(`Unsupported content encoding: ${encoding}`));
+    }
+    const stream = encoding === 'identity' ? res : res.pipe(decoders[encoding]());
+    
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > FETCH_SETTINGS.maxBodyBytes) {
+        reject(new Error(`Response body exceeds ${FETCH_SETTINGS.maxBodyBytes} bytes`));
+        res.destroy();
+        stream.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => {
+      // Pages declared as Latin-1 are decoded as such, everything else as UTF-8
+      const charset = /charset=["']?([\w-]+)/i.exec(res.headers['content-type'] || '');
+      const latin1 = charset && ['iso-8859-1', 'latin1', 'windows-1252'].includes(charset[1].toLowerCase());
+      resolve(Buffer.concat(chunks).toString(latin1 ? 'latin1' : 'utf8'));
+    });
+    stream.on('error', reject);
+    res.on('error', reject);
+    res.on('aborted', () => reject(Object.assign(new Error('Response aborted'), { code: 'ECONNRESET' })));
+  });
+}
+
+// Make one GET request, resolves with { statusCode, headers, body }. The body is
+// only read for 200 responses. The timeout covers the whole exchange, so a site
+// that trickles its response cannot hold the socket open.
+async function requestPage(target, timeout) {
+  const proxy = getProxyFor(target);
+  const headers = {
+    'User-Agent': FETCH_SETTINGS.userAgent,
+    'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+    'Accept-Encoding': 'gzip, deflate, br'
+  };
+  const options = { method: 'GET', headers: headers };
+  let client = target.protocol === 'http:' ? http : https;
+  
+  if (proxy && target.protocol === 'https:') {
+    const socket = await openProxyTunnel(proxy, target, timeout);
+    options.createConnection = () => socket;
+  } else if (proxy) {
+    // Plain http goes to the proxy with the absolute URL as the path
+    client = proxy.protocol === 'https:' ? https : http;
+    Object.assign(options, { host: proxy.hostname, port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80), path: target.toString() });
+    const authorization = getProxyAuthorization(proxy);
+    if (authorization) {
+      headers['Proxy-Authorization'] = authorization;
+    }
+  }
+  
+  return new Promise((resolve, reject) => {
+    const request = options.path ? client.request(options) : client.request(target, options);
+    const timer = setTimeout(() => {
+      const error = Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' });
+      request.destroy(error);
+      reject(error);
+    }, timeout);
+    const settle = (fn) => (value) => {
+      clearTimeout(timer);
+      fn(value);
+    };
+    
+    request.on('response', (res) => {
+      if (res.statusCode !== 200) {
+        res.resume(); // Only the status and headers are needed
+        return settle(resolve)({ statusCode: res.statusCode, headers: res.headers, body: null });
+      }
+      readResponseBody(res).then(body => {
+        settle(resolve)({ statusCode: res.statusCode, headers: res.headers, body: body });
+      }, settle(reject));
+    });
+    request.on('error', settle(reject));
+    request.end();
+  });
+}
+
+// Whether a failed fetch is worth retrying: network errors, timeouts, 429 and 5xx responses
+function isRetryableFetchError(error) {
+  if (error.retryable !== undefined) {
+    return error.retryable;
+  }
+  return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH'].includes(error.code) ||
+    /socket hang up/i.test(error.message);
+}
+
+// Fetch a page once, following at most maxRedirects redirects. Relative Location
+// headers are resolved against the current URL and a redirect back to a URL
+// already visited fails as a loop. Every request waits for a slot on its host,
+// and neither the wait nor the request may run past the deadline.
+async function fetchFollowingRedirects(url, timeout, deadline) {
+  const visited = new Set();
+  let target = new URL(url);
+  
+  for (;;) {
+    visited.add(target.toString());
+    await hostThrottle.acquire(target.hostname, deadline);
+    let response;
+    try {
+      response = await requestPage(target, Math.min(timeout, deadline - Date.now()));
+    } finally {
+      hostThrottle.release(target.hostname);
+    }
+    
+    if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+      const next = new URL(response.headers.location, target);
+      if (!['http:', 'https:'].includes(next.protocol)) {
+        throw new Error(`Refusing to follow a redirect to ${next.protocol} URL`);
+      }
+      if (visited.has(next.toString())) {
+        throw new Error(`Redirect loop at ${next}`);
+      }
+      if (visited.size > FETCH_SETTINGS.maxRedirects) {
+        throw new Error(`Too many redirects (more than ${FETCH_SETTINGS.maxRedirects}) from ${url}`);
+      }
+      target = next;
+      continue;
+    }
+    
+    if (response.statusCode !== 200) {
+      const error = new Error(`Failed to load page, status code: ${response.statusCode}`);
+      error.statusCode = response.statusCode;
+      error.retryable = response.statusCode === 429 || response.statusCode >= 500;
+      // Retry-After in seconds (an HTTP date is treated as no hint)
+      error.retryAfter = /^\d+$/.test(response.headers['retry-after'] || '') ? parseInt(response.headers['retry-after'], 10) * 1000 : null;
+      throw error;
+    }
+    return response.body;
+  }
+}
+
+// Function to fetch HTML from the network, retrying transient failures with
+// exponential backoff and full jitter (or the site's Retry-After, when it sends one).
+// The whole fetch must finish within FETCH_SETTINGS.deadline; a retry that could
+// only start after it is not made.
+async function fetchLiveHTML(url, timeout = FETCH_SETTINGS.timeout) {
+  const deadline = Date.now() + FETCH_SETTINGS.deadline;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fetchFollowingRedirects(url, timeout, deadline);
+    } catch (error) {
+      if (attempt > FETCH_SETTINGS.retries || !isRetryableFetchError(error)) {
+        throw error;
+      }
+      const backoff = FETCH_SETTINGS.retryBaseDelay * Math.pow(2, attempt - 1);
+      const delay = Math.min(FETCH_SETTINGS.maxRetryDelay, error.retryAfter || Math.round(backoff / 2 + Math.random() * backoff / 2));
+      if (Date.now() + delay >= deadline) {
+        throw error;
+      }
+      metrics.increment('upstream_fetch_retries_total', { host: new URL(url).hostname });
+      logger.warn('Retrying fetch', { url, attempt, delayMs: delay, error });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Lottery site URLs mapping - PRIMARY SOURCES (lottoland.co.za)
+const PRIMARY_LOTTERY_URLS = {
+  'sa_lotto': 'https://www.lottoland.co.za/lotto/results-history',
+  'sa_lotto_plus1': 'https://www.lottoland.co.za/lotto-plus/results-history',
+  'sa_lotto_plus2': 'https://www.lottoland.co.za/lotto-plus-2/results-history',
+  'sa_powerball': 'https://www.lottoland.co.za/powerball/results-history',
+  'sa_powerball_plus': 'https://www.lottoland.co.za/powerball-plus/results-history',
+  'us_megamillions': 'https://www.lottoland.co.za/mega-millions/results-history',
+  'us_powerball': 'https://www.lottoland.co.za/powerball-usa/results-history',
+  'euro_jackpot': 'https://www.lottoland.co.za/eurojackpot/results-history',
+  'euro_dreams': 'https://www.lottoland.co.za/eurodreams/results-history',
+  'spain_euromillions': 'https://www.lottoland.co.za/euromillions/results-history',
+  'spain_primitiva': 'https://www.lottoland.co.za/la-primitiva/results-history',
+  'france_loto': 'https://www.lottoland.co.za/french-lotto/results-history',
+  'italy_superenalotto': 'https://www.lottoland.co.za/superenalotto/results-history',
+  'germany_lotto': 'https://www.lottoland.co.za/german-lotto/results-history',
+  'aus_ozlotto': 'https://www.lottoland.co.za/oz-lotto/results-history',
+  'aus_lotto': 'https://www.lottoland.co.za/saturday-lotto/results-history',
+  'aus_powerball': 'https://www.lottoland.co.za/australian-powerball/results-history',
+  'canada_649': 'https://www.lottoland.co.za/canada-lotto-649/results-history',
+  'nz_lotto': 'https://www.lottoland.co.za/new-zealand-powerball/results-history',
+  'ph_grandlotto': 'https://www.lottoland.co.za/philippines-ultra-lotto/results-history'
+};
+
+// FALLBACK SOURCES (lotteryextreme.com)
+const FALLBACK_LOTTERY_URLS = {
+  'sa_lotto': 'https://www.lotteryextreme.com/south-africa-lotto/results',
+  'sa_lotto_plus1': 'https://www.lotteryextreme.com/south-africa-lotto-plus/results',
+  'sa_lotto_plus2': 'https://www.lotteryextreme.com/south-africa-lotto-plus-2/results',
+  'sa_powerball': 'https://www.lotteryextreme.com/south-africa-powerball/results',
+  'sa_powerball_plus': 'https://www.lotteryextreme.com/south-africa-powerball-plus/results',
+  'us_megamillions': 'https://www.lotteryextreme.com/mega-millions/results',
+  'us_powerball': 'https://www.lotteryextreme.com/powerball/results',
+  'euro_jackpot': 'https://www.lotteryextreme.com/eurojackpot/results',
+  'euro_dreams': 'https://www.lotteryextreme.com/eurodreams/results',
+  'spain_euromillions': 'https://www.lotteryextreme.com/euromillions/results',
+  'spain_primitiva': 'https://www.lotteryextreme.com/la-primitiva/results',
+  'france_loto': 'https://www.lotteryextreme.com/france-loto/results',
+  'italy_superenalotto': 'https://www.lotteryextreme.com/superenalotto/results',
+  'germany_lotto': 'https://www.lotteryextreme.com/german-lotto/results',
+  'aus_ozlotto': 'https://www.lotteryextreme.com/oz-lotto/results',
+  'aus_lotto': 'https://www.lotteryextreme.com/saturday-lotto/results',
+  'aus_powerball': 'https://www.lotteryextreme.com/australia-powerball/results',
+  'canada_649': 'https://www.lotteryextreme.com/canada-lotto-649/results',
+  'nz_lotto': 'https://www.lotteryextreme.com/new-zealand-powerball/results',
+  'ph_grandlotto': 'https://www.lotteryextreme.com/philippines-ultra-lotto/results'
+};
+
+// Source adapters. Each adapter resolves the page URL for a game (null when it
+// does not cover that game), fetches it and extracts the lottery data from it.
+// New sources, such as official operator sites, only need to be registered here
+// and added to the games' source lists.
+const SOURCE_ADAPTERS = {};
+
+function registerSourceAdapter(adapter) {
+  SOURCE_ADAPTERS[adapter.id] = adapter;
+}
+
+registerSourceAdapter({
+  id: 'lottoland',
+  host: 'lottoland.co.za',
+  resolveUrl: (lotteryType) => PRIMARY_LOTTERY_URLS[lotteryType] || null,
+  fetch: (url) => fetchHTML(url),
+  extract: (html, lotteryType) => extractFromLottoland(html, lotteryType)
+});
+
+registerSourceAdapter({
+  id: 'lotteryextreme',
+  host: 'lotteryextreme.com',
+  resolveUrl: (lotteryType) => FALLBACK_LOTTERY_URLS[lotteryType] || null,
+  fetch: (url) => fetchHTML(url),
+  extract: (html, lotteryType) => extractFromLotteryExtreme(html, lotteryType)
+});
+
+// Ordered source list per game, tried first to last. Games not listed use the default order.
+const DEFAULT_SOURCE_ORDER = ['lottoland', 'lotteryextreme'];
+const LOTTERY_SOURCE_ORDER = {};
+
+// Adapters that cover a game, in the order they should be tried (only the forced
+// one when an admin has forced a source for the game)
+function getSourcesForGame(lotteryType) {
+  const forcedSource = overrideStore.getForcedSource(lotteryType);
+  return (forcedSource ? [forcedSource] : LOTTERY_SOURCE_ORDER[lotteryType] || DEFAULT_SOURCE_ORDER)
+    .map(id => SOURCE_ADAPTERS[id])
+    .filter(adapter => adapter && adapter.resolveUrl(lotteryType));
+}
+
+// Health tracking and circuit breaking per source. After failureThreshold
+// consecutive failures a source's circuit opens and it is skipped for the cooldown
+// period; then a single trial request is let through (half-open) and its outcome
+// closes the circuit again or re-opens it. Results that were fetched but failed
+// validation are counted as rejections: the source answered, so they do not
+// count towards opening its circuit.
+const sourceHealth = {
+  failureThreshold: 5,
+  cooldown: 5 * 60 * 1000,
+  sources: {},
+  
+  get: function(sourceId) {
+    if (!this.sources[sourceId]) {
+      this.sources[sourceId] = {
+        requests: 0,
+        successes: 0,
+        failures: 0,
+        rejections: 0,
+        consecutiveFailures: 0,
+        averageLatencyMs: null,
+        lastSuccess: null,
+        lastFailure: null,
+        lastError: null,
+        lastRejection: null,
+        lastRejectionReasons: null,
+        circuit: 'closed',
+        openUntil: null
+      };
+    }
+    return this.sources[sourceId];
+  },
+  
+  // Whether a request to the source should be attempted right now
+  canAttempt: function(sourceId) {
+    const health = this.get(sourceId);
+    if (health.circuit === 'half-open') {
+      return false; // The trial request is still in flight
+    }
+    if (health.circuit === 'open') {
+      if (Date.now() < health.openUntil) {
+        return false;
+      }
+      health.circuit = 'half-open';
+    }
+    return true;
+  },
+  
+  recordLatency: function(health, latencyMs) {
+    // Exponentially weighted so recent requests count most
+    health.averageLatencyMs = health.averageLatencyMs === null ?
+      latencyMs :
+      Math.round(health.averageLatencyMs * 0.8 + latencyMs * 0.2);
+  },
+  
+  recordSuccess: function(sourceId, latencyMs) {
+    const health = this.get(sourceId);
+    health.requests++;
+    health.successes++;
+    health.consecutiveFailures = 0;
+    health.lastSuccess = new Date().toISOString();
+    health.circuit = 'closed';
+    health.openUntil = null;
+    this.recordLatency(health, latencyMs);
+  },
+  
+  recordRejection: function(sourceId, latencyMs, reasons) {
+    const health = this.get(sourceId);
+    health.requests++;
+    health.rejections++;
+    health.consecutiveFailures = 0;
+    health.lastRejection = new Date().toISOString();
+    health.lastRejectionReasons = reasons;
+    health.circuit = 'closed';
+    health.openUntil = null;
+    this.recordLatency(health, latencyMs);
+  },
+  
+  recordFailure: function(sourceId, latencyMs, error) {
+    const health = this.get(sourceId);
+    health.requests++;
+    health.failures++;
+    health.consecutiveFailures++;
+    health.lastFailure = new Date().toISOString();
+    health.lastError = error.message;
+    this.recordLatency(health, latencyMs);
+    
+    if (health.circuit === 'half-open' || health.consecutiveFailures >= this.failureThreshold) {
+      health.circuit = 'open';
+      health.openUntil = Date.now() + this.cooldown;
+      logger.warn('Circuit opened for source', { source: sourceId, cooldownSeconds: this.cooldown / 1000, consecutiveFailures: health.consecutiveFailures });
+    }
+  },
+  
+  describe: function(sourceId) {
+    const health = this.get(sourceId);
+    return Object.assign({}, health, {
+      successRate: health.requests > 0 ? Math.round((health.successes / health.requests) * 1000) / 1000 : null,
+      openUntil: health.openUntil ? new Date(health.openUntil).toISOString() : null
+    });
+  }
+};
+
+// Game catalog - the single source of truth for each lottery's rules.
+// mainBalls/bonusBalls give the count and range of each ball set; bonus balls
+// with fromMainPool are drawn from the same barrel as the main numbers (e.g. the
+// SA Lotto bonus ball), otherwise they come from a separate one (e.g. Powerball).
+// Schedule days use JavaScript day numbers (0 = Sunday) and times are wall-clock
+// times in the game's own timezone; `times` overrides the draw time for a given day.
+// prizeTiers lists the winning combinations in division order (Division 1 first):
+// `main` is the number (or list of numbers) of main balls matched and `bonus` the
+// minimum bonus balls matched (0 when omitted).
+// Games whose ball matrix has changed list the earlier rules in previousRules,
+// oldest first, each applying to draws up to and including its `until` date.
+const LOTTERY_GAMES = {
+  'sa_lotto': {
+    name: 'SA Lotto',
+    currency: 'ZAR',
+    timezone: 'Africa/Johannesburg',
+    mainBalls: { count: 6, min: 1, max: 52 },
+    bonusBalls: { count: 1, min: 1, max: 52, label: 'Bonus Ball', fromMainPool: true },
+    prizeTiers: [
+      { main: 6 }, { main: 5, bonus: 1 }, { main: 5 }, { main: 4, bonus: 1 }, { main: 4 },
+      { main: 3, bonus: 1 }, { main: 3 }, { main: 2, bonus: 1 }
+    ],
+    schedule: { days: [3, 6], time: '20:30' } // Wednesday and Saturday at 8:30 PM
+  },
+  'sa_lotto_plus1': {
+    name: 'SA Lotto Plus 1',
+    currency: 'ZAR',
+    timezone: 'Africa/Johannesburg',
+    mainBalls: { count: 6, min: 1, max: 52 },
+    bonusBalls: { count: 1, min: 1, max: 52, label: 'Bonus Ball', fromMainPool: true },
+    prizeTiers: [
+      { main: 6 }, { main: 5, bonus: 1 }, { main: 5 }, { main: 4, bonus: 1 }, { main: 4 },
+      { main: 3, bonus: 1 }, { main: 3 }, { main: 2, bonus: 1 }
+    ],
+    schedule: { days: [3, 6], time: '20:30' } // Same as SA Lotto
+  },
+  'sa_lotto_plus2': {
+    name: 'SA Lotto Plus 2',
+    currency: 'ZAR',
+    timezone: 'Africa/Johannesburg',
+    mainBalls: { count: 6, min: 1, max: 52 },
+    bonusBalls: { count: 1, min: 1, max: 52, label: 'Bonus Ball', fromMainPool: true },
+    prizeTiers: [
+      { main: 6 }, { main: 5, bonus: 1 }, { main: 5 }, { main: 4, bonus: 1 }, { main: 4 },
+      { main: 3, bonus: 1 }, { main: 3 }, { main: 2, bonus: 1 }
+    ],
+    schedule: { days: [3, 6], time: '20:30' } // Same as SA Lotto
+  },
+  'sa_powerball': {
+    name: 'SA Powerball',
+    currency: 'ZAR',
+    timezone: 'Africa/Johannesburg',
+    mainBalls: { count: 5, min: 1, max: 50 },
+    bonusBalls: { count: 1, min: 1, max: 20, label: 'Powerball', fromMainPool: false },
+    prizeTiers: [
+      { main: 5, bonus: 1 }, { main: 5 }, { main: 4, bonus: 1 }, { main: 4 }, { main: 3, bonus: 1 },
+      { main: 3 }, { main: 2, bonus: 1 }, { main: 1, bonus: 1 }, { main: 0, bonus: 1 }
+    ],
+    schedule: { days: [2, 5], time: '21:00' } // Tuesday and Friday at 9:00 PM
+  },
+  'sa_powerball_plus': {
+    name: 'SA Powerball Plus',
+    currency: 'ZAR',
+    timezone: 'Africa/Johannesburg',
+    mainBalls: { count: 5, min: 1, max: 50 },
+    bonusBalls: { count: 1, min: 1, max: 20, label: 'Powerball', fromMainPool: false },
+    prizeTiers: [
+      { main: 5, bonus: 1 }, { main: 5 }, { main: 4, bonus: 1 }, { main: 4 }, { main: 3, bonus: 1 },
+      { main: 3 }, { main: 2, bonus: 1 }, { main: 1, bonus: 1 }, { main: 0, bonus: 1 }
+    ],
+    schedule: { days: [2, 5], time: '21:00' } // Same as SA Powerball
+  },
+  'us_megamillions': {
+    name: 'US Mega Millions',
+    currency: 'USD',
+    timezone: 'America/New_York',
+    mainBalls: { count: 5, min: 1, max: 70 },
+    bonusBalls: { count: 1, min: 1, max: 24, label: 'Mega Ball', fromMainPool: false }, // 1-24 since the April 2025 matrix change
+    previousRules: [
+      { until: '2025-04-07', bonusBalls: { count: 1, min: 1, max: 25, label: 'Mega Ball', fromMainPool: false } }
+    ],
+    prizeTiers: [
+      { main: 5, bonus: 1 }, { main: 5 }, { main: 4, bonus: 1 }, { main: 4 }, { main: 3, bonus: 1 },
+      { main: 3 }, { main: 2, bonus: 1 }, { main: 1, bonus: 1 }, { main: 0, bonus: 1 }
+    ],
+    schedule: { days: [2, 5], time: '23:00' } // Tuesday and Friday at 11:00 PM
+  },
+  'us_powerball': {
+    name: 'US Powerball',
+    currency: 'USD',
+    timezone: 'America/New_York',
+    mainBalls: { count: 5, min: 1, max: 69 },
+    bonusBalls: { count: 1, min: 1, max: 26, label: 'Powerball', fromMainPool: false },
+    prizeTiers: [
+      { main: 5, bonus: 1 }, { main: 5 }, { main: 4, bonus: 1 }, { main: 4 }, { main: 3, bonus: 1 },
+      { main: 3 }, { main: 2, bonus: 1 }, { main: 1, bonus: 1 }, { main: 0, bonus: 1 }
+    ],
+    schedule: { days: [1, 3, 6], time: '22:59' } // Monday, Wednesday and Saturday at 10:59 PM
+  },
+  'euro_jackpot': {
+    name: 'EuroJackpot',
+    currency: 'EUR',
+    timezone: 'Europe/Helsinki',
+    mainBalls: { count: 5, min: 1, max: 50 },
+    bonusBalls: { count: 2, min: 1, max: 12, label: 'Euro Numbers', fromMainPool: false }, // 1-12 since March 2022
+    previousRules: [
+      { until: '2022-03-24', bonusBalls: { count: 2, min: 1, max: 10, label: 'Euro Numbers', fromMainPool: false } }
+    ],
+    prizeTiers: [
+      { main: 5, bonus: 2 }, { main: 5, bonus: 1 }, { main: 5 }, { main: 4, bonus: 2 }, { main: 4, bonus: 1 },
+      { main: 3, bonus: 2 }, { main: 4 }, { main: 2, bonus: 2 }, { main: 3, bonus: 1 }, { main: 3 },
+      { main: 1, bonus: 2 }, { main: 2, bonus: 1 }
+    ],
+    schedule: { days: [2, 5], time: '21:00' } // Tuesday and Friday at 9:00 PM (Helsinki)
+  },
+  'euro_dreams': {
+    name: 'EuroDreams',
+    currency: 'EUR',
+    timezone: 'Europe/Paris',
+    mainBalls: { count: 6, min: 1, max: 40 },
+    bonusBalls: { count: 1, min: 1, max: 5, label: 'Dream Number', fromMainPool: false },
+    prizeTiers: [
+      { main: 6, bonus: 1 }, { main: 6 }, { main: 5 }, { main: 4 }, { main: 3 },
+      { main: 2 }
+    ],
+    schedule: { days: [1, 4], time: '21:00' } // Monday and Thursday at 9:00 PM
+  },
+  'spain_euromillions': {
+    name: 'EuroMillions',
+    currency: 'EUR',
+    timezone: 'Europe/Paris',
+    mainBalls: { count: 5, min: 1, max: 50 },
+    bonusBalls: { count: 2, min: 1, max: 12, label: 'Lucky Stars', fromMainPool: false },
+    prizeTiers: [
+      { main: 5, bonus: 2 }, { main: 5, bonus: 1 }, { main: 5 }, { main: 4, bonus: 2 }, { main: 4, bonus: 1 },
+      { main: 3, bonus: 2 }, { main: 4 }, { main: 2, bonus: 2 }, { main: 3, bonus: 1 }, { main: 3 },
+      { main: 1, bonus: 2 }, { main: 2, bonus: 1 }, { main: 2 }
+    ],
+    schedule: { days: [2, 5], time: '21:00' } // Tuesday and Friday at 9:00 PM (Paris)
+  },
+  'spain_primitiva': {
+    name: 'La Primitiva',
+    currency: 'EUR',
+    timezone: 'Europe/Madrid',
+    mainBalls: { count: 6, min: 1, max: 49 },
+    bonusBalls: { count: 1, min: 1, max: 49, label: 'Complementario', fromMainPool: true }, // Reintegro (0-9) is not tracked
+    prizeTiers: [{ main: 6 }, { main: 5, bonus: 1 }, { main: 5 }, { main: 4 }, { main: 3 }], // Categoría Especial needs the Reintegro and is not listed
+    schedule: { days: [1, 4, 6], time: '21:40' } // Monday, Thursday and Saturday at 9:40 PM
+  },
+  'france_loto': {
+    name: 'French Loto',
+    currency: 'EUR',
+    timezone: 'Europe/Paris',
+    mainBalls: { count: 5, min: 1, max: 49 },
+    bonusBalls: { count: 1, min: 1, max: 10, label: 'Chance Number', fromMainPool: false },
+    prizeTiers: [
+      { main: 5, bonus: 1 }, { main: 5 }, { main: 4, bonus: 1 }, { main: 4 }, { main: 3, bonus: 1 },
+      { main: 3 }, { main: 2, bonus: 1 }, { main: 2 }, { main: 1, bonus: 1 }, { main: 0, bonus: 1 }
+    ],
+    schedule: { days: [1, 3, 6], time: '20:30' } // Monday, Wednesday and Saturday at 8:30 PM
+  },
+  'italy_superenalotto': {
+    name: 'SuperEnalotto',
+    currency: 'EUR',
+    timezone: 'Europe/Rome',
+    mainBalls: { count: 6, min: 1, max: 90 },
+    bonusBalls: { count: 1, min: 1, max: 90, label: 'Jolly', fromMainPool: true },
+    prizeTiers: [
+      { main: 6 }, { main: 5, bonus: 1 }, { main: 5 }, { main: 4 }, { main: 3 },
+      { main: 2 }
+    ],
+    schedule: { days: [2, 4, 5, 6], time: '20:00' } // Tuesday, Thursday, Friday and Saturday at 8:00 PM
+  },
+  'germany_lotto': {
+    name: 'German Lotto 6aus49',
+    currency: 'EUR',
+    timezone: 'Europe/Berlin',
+    mainBalls: { count: 6, min: 1, max: 49 },
+    bonusBalls: { count: 1, min: 0, max: 9, label: 'Superzahl', fromMainPool: false },
+    prizeTiers: [
+      { main: 6, bonus: 1 }, { main: 6 }, { main: 5, bonus: 1 }, { main: 5 }, { main: 4, bonus: 1 },
+      { main: 4 }, { main: 3, bonus: 1 }, { main: 3 }, { main: 2, bonus: 1 }
+    ],
+    schedule: { days: [3, 6], time: '19:25', times: { 3: '18:25' } } // Wednesday at 6:25 PM and Saturday at 7:25 PM
+  },
+  'aus_ozlotto': {
+    name: 'Oz Lotto',
+    currency: 'AUD',
+    timezone: 'Australia/Melbourne',
+    mainBalls: { count: 7, min: 1, max: 47 },
+    bonusBalls: { count: 3, min: 1, max: 47, label: 'Supplementary', fromMainPool: true },
+    prizeTiers: [
+      { main: 7 }, { main: 6, bonus: 1 }, { main: 6 }, { main: 5, bonus: 1 }, { main: 5 },
+      { main: 4 }, { main: 3, bonus: 1 }
+    ],
+    schedule: { days: [2], time: '20:30' } // Tuesday at 8:30 PM
+  },
+  'aus_lotto': {
+    name: 'Saturday Lotto',
+    currency: 'AUD',
+    timezone: 'Australia/Melbourne',
+    mainBalls: { count: 6, min: 1, max: 45 },
+    bonusBalls: { count: 2, min: 1, max: 45, label: 'Supplementary', fromMainPool: true },
+    prizeTiers: [
+      { main: 6 }, { main: 5, bonus: 1 }, { main: 5 }, { main: 4 }, { main: 3, bonus: 1 },
+      { main: [1, 2], bonus: 2 }
+    ],
+    schedule: { days: [6], time: '19:30' } // Saturday at 7:30 PM
+  },
+  'aus_powerball': {
+    name: 'Australian Powerball',
+    currency: 'AUD',
+    timezone: 'Australia/Melbourne',
+    mainBalls: { count: 7, min: 1, max: 35 },
+    bonusBalls: { count: 1, min: 1, max: 20, label: 'Powerball', fromMainPool: false },
+    prizeTiers: [
+      { main: 7, bonus: 1 }, { main: 7 }, { main: 6, bonus: 1 }, { main: 6 }, { main: 5, bonus: 1 },
+      { main: 4, bonus: 1 }, { main: 5 }, { main: 3, bonus: 1 }, { main: 2, bonus: 1 }
+    ],
+    schedule: { days: [4], time: '20:30' } // Thursday at 8:30 PM
+  },
+  'canada_649': {
+    name: 'Canada Lotto 6/49',
+    currency: 'CAD',
+    timezone: 'America/Toronto',
+    mainBalls: { count: 6, min: 1, max: 49 },
+    bonusBalls: { count: 1, min: 1, max: 49, label: 'Bonus Number', fromMainPool: true },
+    prizeTiers: [
+      { main: 6 }, { main: 5, bonus: 1 }, { main: 5 }, { main: 4 }, { main: 3 },
+      { main: 2, bonus: 1 }, { main: 2 }
+    ],
+    schedule: { days: [3, 6], time: '22:30' } // Wednesday and Saturday at 10:30 PM
+  },
+  'nz_lotto': {
+    name: 'NZ Lotto Powerball',
+    currency: 'NZD',
+    timezone: 'Pacific/Auckland',
+    mainBalls: { count: 6, min: 1, max: 40 },
+    bonusBalls: { count: 1, min: 1, max: 10, label: 'Powerball', fromMainPool: false }, // Source pages list the Powerball game
+    prizeTiers: [ // Powerball divisions first, then the Lotto divisions
+      { main: 6, bonus: 1 }, { main: 5, bonus: 1 }, { main: 4, bonus: 1 }, { main: 3, bonus: 1 }, { main: 6 },
+      { main: 5 }, { main: 4 }, { main: 3 }
+    ],
+    schedule: { days: [3, 6], time: '20:00' } // Wednesday and Saturday at 8:00 PM
+  },
+  'ph_grandlotto': {
+    name: 'PH Ultra Lotto 6/58',
+    currency: 'PHP',
+    timezone: 'Asia/Manila',
+    mainBalls: { count: 6, min: 1, max: 58 }, // Both sources publish the Ultra Lotto 6/58 draw for this key
+    bonusBalls: null,
+    prizeTiers: [{ main: 6 }, { main: 5 }, { main: 4 }, { main: 3 }],
+    schedule: { days: [0, 2, 5], time: '21:00' } // Sunday, Tuesday and Friday at 9:00 PM
+  }
+};
+
+// Draw calendar exceptions per game, as local dates in the game's timezone.
+// `cancelled` draws are skipped, `extra` draws are added on top of the regular
+// schedule (e.g. a draw moved off a public holiday). Only the games listed here
+// have their exceptions entered; for every other game the schedule, the draw
+// calendar and the draw date checks follow the weekly schedule alone, so they are
+// wrong on holidays with a cancelled or moved draw.
+const DRAW_CALENDAR = {
+  'italy_superenalotto': {
+    cancelled: ['2026-12-25', '2027-01-01'], // No draws on Christmas Day and New Year's Day
+    extra: []
+  }
+};
+
+// Look up a game's rules, returns null for unsupported lottery types
+function getGame(lotteryType) {
+  return Object.prototype.hasOwnProperty.call(LOTTERY_GAMES, lotteryType) ? LOTTERY_GAMES[lotteryType] : null;
+}
+
+// A game's rules for the draw on the given date, taking the matrix in force then.
+// Without a date the current rules apply.
+function getGameRulesOn(lotteryType, date) {
+  const game = getGame(lotteryType);
+  const previous = date ? (game.previousRules || []).find(rules => date <= rules.until) : null;
+  return previous ? Object.assign({}, game, previous) : game;
+}
+
+// Public description of a game's rules
+function describeGame(lotteryType) {
+  const game = getGame(lotteryType);
+  return {
+    id: lotteryType,
+    name: game.name,
+    currency: game.currency,
+    timezone: game.timezone,
+    mainBalls: game.mainBalls,
+    bonusBalls: game.bonusBalls,
+    prizeTiers: game.prizeTiers,
+    schedule: game.schedule,
+    previousRules: game.previousRules || []
+  };
+}
+
+// Split a flat list of drawn numbers into main numbers and bonus numbers
+function splitDrawnNumbers(nums, game) {
+  const mainBallCount = game.mainBalls.count;
+  const bonusBallCount = game.bonusBalls ? game.bonusBalls.count : 0;
+  return {
+    numbers: nums.slice(0, mainBallCount),
+    bonusNumbers: nums.slice(mainBallCount, mainBallCount + bonusBallCount)
+  };
+}
+
+// The separately drawn Powerball-style ball of a draw (Powerball, Mega Ball and the
+// like). Bonus balls drawn from the main barrel, such as the SA Lotto bonus ball,
+// are only listed in bonusNumbers, so `powerball` is null for those games.
+function getPowerball(bonusNumbers, game) {
+  return game.bonusBalls && !game.bonusBalls.fromMainPool && bonusNumbers.length > 0 ? bonusNumbers[0] : null;
+}
+
+// Base data structure returned for every lottery
+function createLotteryData(lotteryType) {
+  const game = getGame(lotteryType);
+  return {
+    name: game.name,
+    logo: lotteryType.replace(/_/g, ' ').toUpperCase(),
+    currency: game.currency,
+    nextDraw: calculateNextDrawDate(lotteryType),
+    jackpot: null,
+    lastDrawDate: new Date().toISOString().split('T')[0],
+    drawNumber: null,
+    winningNumbers: [],
+    bonusNumbers: [],
+    powerball: null,
+    hasPowerball: Boolean(game.bonusBalls && !game.bonusBalls.fromMainPool),
+    bonusLabel: game.bonusBalls ? game.bonusBalls.label : null,
+    confidence: 'single-source',
+    divisions: [],
+    rollover: null,
+    historicalResults: [],
+    provenance: {
+      source: null,
+      sourceUrl: null,
+      fetchedAt: null,
+      fields: {
+        name: { type: 'derived', reason: 'From the game catalog' },
+        logo: { type: 'derived', reason: 'From the game catalog' },
+        currency: { type: 'derived', reason: 'From the game catalog' },
+        hasPowerball: { type: 'derived', reason: 'From the game catalog' },
+        bonusLabel: { type: 'derived', reason: 'From the game catalog' },
+        nextDraw: { type: 'derived', reason: 'Calculated from the draw schedule' },
+        jackpot: { type: 'missing' },
+        lastDrawDate: { type: 'missing' },
+        drawNumber: { type: 'missing' },
+        winningNumbers: { type: 'missing' },
+        bonusNumbers: { type: 'missing' },
+        powerball: { type: 'missing' },
+        divisions: { type: 'missing' },
+        rollover: { type: 'missing' },
+        historicalResults: { type: 'missing' }
+      }
+    }
+  };
+}
+
+// Record where one or more fields came from: 'scraped', 'derived', 'synthetic'
+// (made up as a placeholder), 'override' (entered by an admin) or 'missing'
+// (not found, left empty)
+function setProvenance(lotteryData, fields, type, reason) {
+  for (const field of [].concat(fields)) {
+    lotteryData.provenance.fields[field] = reason ? { type, reason } : { type };
+  }
+}
+
+// Stamp the source and fetch time on the payload and on every scraped field
+function recordSource(lotteryData, source, sourceUrl, fetchedAt) {
+  const provenance = lotteryData.provenance;
+  provenance.source = source;
+  provenance.sourceUrl = sourceUrl;
+  provenance.fetchedAt = fetchedAt;
+  for (const field of Object.keys(provenance.fields)) {
+    if (provenance.fields[field].type === 'scraped') {
+      Object.assign(provenance.fields[field], { source, fetchedAt });
+    }
+  }
+}
+
+// Fields holding made-up placeholder data, mapped to the reason they were made up
+function getSyntheticFields(lotteryData) {
+  const syntheticFields = {};
+  for (const [field, info] of Object.entries(lotteryData.provenance.fields)) {
+    if (info.type === 'synthetic') {
+      syntheticFields[field] = info.reason;
+    }
+  }
+  return syntheticFields;
+}
+
+// Money amount with its currency marker and optional million/billion suffix
+const MONEY_PATTERN = /(?:NZ\$|A\$|C\$|US\$|\bR|[$€£₱])\s?\d[\d,.]*(?:\s*(?:million|billion|mio|bn)\b)?|\d[\d.,]*\s*(?:million|billion|mio)?\s*€/i;
+
+// Month names and abbreviations used in draw dates
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+
+// Parse a draw date written as e.g. "Sat 12 Oct 2024", "Saturday, 12th October 2024",
+// "October 12, 2024", "2024-10-12" or "12.10.2024" into YYYY-MM-DD, without going
+// through the server's local timezone. `order` says how to read all-numeric dates
+// ('DMY' or 'MDY'). Returns null when no valid date is found.
+function parseDrawDate(text, order = 'DMY') {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  let year;
+  let month;
+  let day;
+  let match;
+  
+  if ((match = value.match(/(\d{4})-(\d{1,2})-(\d{1,2})/)) || (match = value.match(/(\d{4})\/(\d{1,2})\/(\d{1,2})/))) {
+    [year, month, day] = [match[1], match[2], match[3]].map(Number);
+  } else if ((match = value.match(/(\d{1,2})[./-](\d{1,2})[./-](\d{4}|\d{2})\b/))) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    [day, month] = order === 'MDY' ? [second, first] : [first, second];
+    year = Number(match[3]) < 100 ? 2000 + Number(match[3]) : Number(match[3]);
+  } else if ((match = value.match(/(\d{1,2})(?:st|nd|rd|th)?\.?\s+([a-z]{3,9})\.?,?\s+(\d{4})/i)) && MONTHS[match[2].slice(0, 3).toLowerCase()]) {
+    [day, month, year] = [Number(match[1]), MONTHS[match[2].slice(0, 3).toLowerCase()], Number(match[3])];
+  } else if ((match = value.match(/([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/i)) && MONTHS[match[1].slice(0, 3).toLowerCase()]) {
+    [month, day, year] = [MONTHS[match[1].slice(0, 3).toLowerCase()], Number(match[2]), Number(match[3])];
+  } else {
+    return null;
+  }
+  
+  // Reject impossible dates such as 31.02.2024
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+// The operator's draw number from text such as "Draw 2478" or "Draw no. 2,478"
+function parseDrawNumber(text) {
+  const match = String(text || '').match(/\d[\d,]*/);
+  return match ? parseInt(match[0].replace(/,/g, ''), 10) : null;
+}
+
+// CSS selectors per source, with per-game overrides merged over the defaults.
+// Selector lists cover every markup known for a source (see the samples in
+// test/fixtures/samples), so pages in the older markup keep working. drawDate is a list tried in order, the first
+// date found winning. History selectors (historyDate, historyDrawNumber,
+// historyMainBalls, historyBonusBalls, historyDivisionRows) are relative to each
+// row matched by historyRows; divisionColumns gives the cell index of each
+// division field within a row matched by divisionRows.
+const SOURCE_SELECTORS = {
+  lottoland: {
+    defaults: {
+      dateOrder: 'DMY',
+      drawDate: ['.latest-draw .draw-date time[datetime]', '.latest-draw .draw-date', '.draw-info'],
+      drawNumber: '.latest-draw .draw-number',
+      mainBalls: '.latest-draw .balls .ball:not(.bonus), section.draw .balls .ball:not(.bonus)',
+      bonusBalls: '.latest-draw .balls .ball.bonus, section.draw .balls .ball.bonus',
+      jackpot: '.jackpot-info',
+      cashValue: '.jackpot-info .cash-value, .cash-info',
+      divisionRows: '.prize-breakdown tbody tr',
+      divisionColumns: { division: 0, match: 1, winners: 2, prize: 3 },
+      historyRows: '.results-history > table > tbody > tr',
+      historyDivisionRows: '.prizes tbody tr',
+      historyDate: '.date',
+      historyDrawNumber: '.draw-number',
+      historyMainBalls: '.ball:not(.bonus)',
+      historyBonusBalls: '.ball.bonus'
+    },
+    games: {
+      'us_megamillions': {
+        mainBalls: '.latest-draw .balls .ball:not(.mega-ball), section.draw .balls .ball:not(.mega-ball)',
+        bonusBalls: '.latest-draw .balls .ball.mega-ball, section.draw .balls .ball.mega-ball',
+        historyMainBalls: '.ball:not(.mega-ball)',
+        historyBonusBalls: '.ball.mega-ball'
+      }
+    }
+  },
+  lotteryextreme: {
+    defaults: {
+      dateOrder: 'DMY',
+      drawDate: ['.latest .date', '#content > .updated'],
+      drawNumber: null, // Official draw numbers are not shown on this source
+      mainBalls: '.latest .numbers .num:not(.bonus), #content > .balls',
+      bonusBalls: '.latest .numbers .num.bonus, #content > .balls .supp, #content > .balls .pb',
+      jackpot: '.latest .jackpot, #content > .jackpot',
+      cashValue: null,
+      divisionRows: '.latest table.prizes tbody tr',
+      divisionColumns: { division: 0, match: 1, winners: 2, prize: 3 },
+      historyRows: 'table.results > tbody > tr',
+      historyDivisionRows: 'table.prizes tbody tr',
+      historyDate: 'td.date',
+      historyDrawNumber: null,
+      historyMainBalls: '.num:not(.bonus)',
+      historyBonusBalls: '.num.bonus'
+    },
+    games: {}
+  }
+};
+
+// Selector definitions for a game on a source
+function getSelectors(sourceId, lotteryType) {
+  const definitions = SOURCE_SELECTORS[sourceId];
+  return Object.assign({}, definitions.defaults, definitions.games[lotteryType] || {});
+}
+
+// Read the numbers from a set of ball elements, ignoring anything non-numeric.
+// An element holds one ball, or several separated by spaces where a page lists
+// the draw as plain text; then only its own text is read, leaving bonus balls
+// marked up inside it to the bonus selector.
+function readBalls($, elements) {
+  return elements.toArray()
+    .map(element => {
+      const ownText = $(element).contents().filter((index, node) => node.type === 'text').text();
+      return /\d/.test(ownText) ? ownText : $(element).text();
+    })
+    .reduce((numbers, text) => numbers.concat(text.trim().split(/[\s,]+/)), [])
+    .filter(text => /^\d{1,2}$/.test(text))
+    .map(Number);
+}
+
+// Main and bonus numbers from ball elements. When the page does not mark bonus
+// balls separately they are split off the end of the main balls using the game rules.
+function readDraw($, mainElements, bonusElements, game) {
+  const mainBalls = readBalls($, mainElements);
+  const bonusBalls = readBalls($, bonusElements);
+  if (bonusBalls.length > 0) {
+    return { numbers: mainBalls.slice(0, game.mainBalls.count), bonusNumbers: bonusBalls };
+  }
+  return splitDrawnNumbers(mainBalls, game);
+}
+
+// Read the rows of a prize table into divisions, using the source's column layout
+function readDivisions($, rows, columns) {
+  const divisions = [];
+  rows.each((index, row) => {
+    const cells = $(row).children('td').toArray().map(cell => $(cell).text().replace(/\s+/g, ' ').trim());
+    if (cells.length <= Math.max(columns.division, columns.match, columns.winners, columns.prize)) {
+      return; // Header or malformed row
+    }
+    divisions.push({
+      division: cells[columns.division],
+      match: cells[columns.match],
+      winners: parseInt(cells[columns.winners].replace(/[^\d]/g, ''), 10) || 0,
+      prize: cells[columns.prize]
+    });
+  });
+  return divisions;
+}
+
+// The numbers of main and bonus balls a division's match text describes, e.g.
+// "5 correct + bonus" is { main: 5, bonus: 1 } and "Match 5 + 2" is { main: 5, bonus: 2 }.
+// Returns null when the text gives no ball count.
+function parseDivisionMatch(text) {
+  const [mainPart, bonusPart] = String(text || '').split('+');
+  const mainMatch = mainPart.match(/\d+/);
+  if (!mainMatch) {
+    return null;
+  }
+  const bonusMatch = bonusPart === undefined ? null : bonusPart.match(/\d+/);
+  return {
+    main: Number(mainMatch[0]),
+    bonus: bonusPart === undefined ? 0 : (bonusMatch ? Number(bonusMatch[0]) : 1)
+  };
+}
+
+// Label divisions by the game's prize tiers: `division` becomes "Division N" and
+// `tier` N, keeping the source's own name as `label`, sorted into tier order.
+// Rows are matched to a tier by their match text. Rows whose text names none of
+// the game's tiers, or a tier an earlier row already took, are left out rather
+// than guessed at, and added to `dropped` with the reason.
+function normaliseDivisions(divisions, game, dropped = []) {
+  const taken = new Set();
+  const normalised = [];
+  for (const division of divisions) {
+    const label = division.label || division.division;
+    const matched = parseDivisionMatch(division.match);
+    const tierIndex = matched ? game.prizeTiers.findIndex(tier => {
+      const mainCounts = Array.isArray(tier.main) ? tier.main : [tier.main];
+      return mainCounts.includes(matched.main) && matched.bonus >= (tier.bonus || 0);
+    }) : -1;
+    if (tierIndex === -1) {
+      dropped.push({ label, match: division.match, reason: 'Matches none of the game\'s prize tiers' });
+      continue;
+    }
+    if (taken.has(tierIndex)) {
+      dropped.push({ label, match: division.match, reason: `Division ${tierIndex + 1} was already given by an earlier row` });
+      continue;
+    }
+    taken.add(tierIndex);
+    normalised.push(Object.assign({}, division, {
+      division: `Division ${tierIndex + 1}`,
+      tier: tierIndex + 1,
+      label
+    }));
+  }
+  return normalised.sort((a, b) => a.tier - b.tier);
+}
+
+// Whether the jackpot rolled over, i.e. nobody won Division 1 (null when the
+// divisions do not include Division 1)
+function detectRollover(divisions) {
+  const top = divisions.find(division => division.tier === 1);
+  return top ? top.winners === 0 : null;
+}
+
+// Extract lottery data from a source page using that source's selector definitions.
+// Fields that cannot be found are listed in provenance.extractionReport.missing
+// and filled with placeholders (marked synthetic) as before, except past results:
+// made-up past draws would pass for real ones, so the history is left empty.
+function extractWithSelectors(html, lotteryType, sourceId) {
+  const game = getGame(lotteryType);
+  const selectors = getSelectors(sourceId, lotteryType);
+  const lotteryData = createLotteryData(lotteryType);
+  const $ = cheerio.load(html);
+  const missing = [];
+  
+  // Winning numbers
+  const drawn = readDraw($, $(selectors.mainBalls), selectors.bonusBalls ? $(selectors.bonusBalls) : $([]), game);
+  if (drawn.numbers.length >= game.mainBalls.count) {
+    lotteryData.winningNumbers = drawn.numbers;
+    lotteryData.bonusNumbers = drawn.bonusNumbers;
+    lotteryData.powerball = getPowerball(drawn.bonusNumbers, game);
+    setProvenance(lotteryData, ['winningNumbers', 'bonusNumbers', 'powerball'], 'scraped');
+  } else {
+    missing.push('winningNumbers');
+  }
+  
+  // Draw date, trying the selectors in order so that a machine-readable datetime
+  // attribute wins over the date written out on the page
+  let drawDate = null;
+  for (const selector of [].concat(selectors.drawDate)) {
+    const dateElement = $(selector).first();
+    drawDate = dateElement.length > 0 ? parseDrawDate(dateElement.attr('datetime') || dateElement.text(), selectors.dateOrder) : null;
+    if (drawDate) break;
+  }
+  if (drawDate) {
+    lotteryData.lastDrawDate = drawDate;
+    setProvenance(lotteryData, 'lastDrawDate', 'scraped');
+  } else {
+    missing.push('lastDrawDate');
+    setProvenance(lotteryData, 'lastDrawDate', 'synthetic', 'No draw date found on the source page, defaulted to today');
+  }
+  
+  // Official draw number, where the source shows one
+  if (selectors.drawNumber) {
+    lotteryData.drawNumber = parseDrawNumber($(selectors.drawNumber).first().text());
+    if (lotteryData.drawNumber !== null) {
+      setProvenance(lotteryData, 'drawNumber', 'scraped');
+    } else {
+      missing.push('drawNumber');
+    }
+  }
+  
+  // Jackpot, with the cash value where the source quotes one
+  const jackpotMatch = $(selectors.jackpot).first().text().match(MONEY_PATTERN);
+  if (jackpotMatch) {
+    const cashMatch = selectors.cashValue ? $(selectors.cashValue).first().text().match(MONEY_PATTERN) : null;
+    lotteryData.jackpot = parseAmount(jackpotMatch[0], game.currency, {
+      estimated: true,
+      cashValue: cashMatch ? cashMatch[0] : null
+    });
+    setProvenance(lotteryData, 'jackpot', 'scraped');
+  } else {
+    missing.push('jackpot');
+    lotteryData.jackpot = parseAmount(getDefaultJackpot(lotteryType), game.currency, { estimated: true });
+    setProvenance(lotteryData, 'jackpot', 'synthetic', 'No jackpot found on the source page, placeholder amount used');
+  }
+  
+  // Prize divisions. Rows that cannot be tied to a prize tier are reported in
+  // extractionReport.droppedDivisions.
+  const droppedDivisions = [];
+  const divisions = selectors.divisionRows ?
+    normaliseDivisions(readDivisions($, $(selectors.divisionRows), selectors.divisionColumns), game, droppedDivisions) :
+    [];
+  if (divisions.length > 0) {
+    lotteryData.divisions = divisions;
+    setProvenance(lotteryData, 'divisions', 'scraped');
+    lotteryData.rollover = detectRollover(divisions);
+    if (lotteryData.rollover !== null) {
+      setProvenance(lotteryData, 'rollover', 'derived', 'From the number of Division 1 winners');
+    }
+  } else {
+    missing.push('divisions');
+    lotteryData.divisions = normaliseDivisions(createDefaultDivisions(lotteryType), game);
+    setProvenance(lotteryData, 'divisions', 'synthetic', selectors.divisionRows ?
+      'No prize divisions found on the source page, placeholder table used' :
+      'Prize divisions are not parsed from this source, placeholder table used');
+  }
+  lotteryData.divisions = normaliseDivisionPrizes(lotteryData.divisions, game.currency);
+  
+  // Past results
+  const histResults = [];
+  $(selectors.historyRows).each((index, row) => {
+    const date = parseDrawDate($(row).find(selectors.historyDate).first().text(), selectors.dateOrder);
+    const result = readDraw($, $(row).find(selectors.historyMainBalls), $(row).find(selectors.historyBonusBalls), game);
+    if (date && result.numbers.length >= game.mainBalls.count) {
+      const rowDropped = [];
+      const rowDivisions = selectors.historyDivisionRows ?
+        normaliseDivisions(readDivisions($, $(row).find(selectors.historyDivisionRows), selectors.divisionColumns), game, rowDropped) :
+        [];
+      droppedDivisions.push(...rowDropped.map(division => Object.assign({ date }, division)));
+      histResults.push({
+        date: date,
+        drawNumber: selectors.historyDrawNumber ? parseDrawNumber($(row).find(selectors.historyDrawNumber).first().text()) : null,
+        numbers: result.numbers,
+        bonusNumbers: result.bonusNumbers,
+        powerball: getPowerball(result.bonusNumbers, game),
+        divisions: normaliseDivisionPrizes(rowDivisions, game.currency),
+        rollover: detectRollover(rowDivisions)
+      });
+    }
+  });
+  if (histResults.length > 0) {
+    lotteryData.historicalResults = histResults.slice(0, 50); // Store up to 50 results
+    setProvenance(lotteryData, 'historicalResults', 'scraped');
+  } else {
+    missing.push('historicalResults');
+    setProvenance(lotteryData, 'historicalResults', 'missing', 'No past results found on the source page');
+  }
+  
+  lotteryData.provenance.extractionReport = { missing, droppedDivisions };
+  if (missing.length > 0) {
+    logger.info('Fields not found on the source page', { lottery: lotteryType, source: sourceId, missing });
+  }
+  if (droppedDivisions.length > 0) {
+    logger.warn('Prize division rows not matched to a prize tier were left out', { lottery: lotteryType, source: sourceId, droppedDivisions });
+  }
+  return lotteryData;
+}
+
+// Function to extract data from lottoland.co.za
+async function extractFromLottoland(html, lotteryType) {
+  try {
+    return extractWithSelectors(html, lotteryType, 'lottoland');
+  } catch (error) {
+    logger.error('Error extracting data', { lottery: lotteryType, source: 'lottoland', error });
+    throw error;
+  }
+}
+
+// Function to extract data from lotteryextreme.com
+async function extractFromLotteryExtreme(html, lotteryType) {
+  try {
+    return extractWithSelectors(html, lotteryType, 'lotteryextreme');
+  } catch (error) {
+    logger.error('Error extracting data', { lottery: lotteryType, source: 'lotteryextreme', error });
+    throw error;
+  }
+}
+
+// Break an instant down into wall-clock parts in the given timezone
+function getZonedParts(timeZone, date) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour12: false,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24, // Some ICU versions report midnight as 24
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+// Offset of a timezone from UTC in milliseconds at the given instant (DST aware)
+function getTimezoneOffset(timeZone, date) {
+  const parts = getZonedParts(timeZone, date);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - (date.getTime() - date.getMilliseconds());
+}
+
+// Convert a wall-clock time in a timezone to the matching UTC instant
+function zonedTimeToUtc(year, month, day, hours, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+  const offset = getTimezoneOffset(timeZone, new Date(guess));
+  let result = guess - offset;
+  
+  // Re-check the offset at the result in case a DST change lies between the two
+  const correctedOffset = getTimezoneOffset(timeZone, new Date(result));
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+  return new Date(result);
+}
+
+// Format an instant as an ISO 8601 string in the given timezone, e.g. 2024-10-12T20:30:00+02:00
+function formatZonedTime(date, timeZone) {
+  const parts = getZonedParts(timeZone, date);
+  const offsetMinutes = Math.round(getTimezoneOffset(timeZone, date) / 60000);
+  const pad = (n) => String(n).padStart(2, '0');
+  const sign = offsetMinutes >= 0 ? '+' : '-';
+  const absOffset = Math.abs(offsetMinutes);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`;
+}
+
+// Draw time (HH:MM) on a local date, or null when there is no draw that day
+function getDrawTimeOn(lotteryType, dateStr, dayOfWeek) {
+  const game = getGame(lotteryType);
+  const calendar = DRAW_CALENDAR[lotteryType] || {};
+  
+  if ((calendar.cancelled || []).includes(dateStr)) {
+    return null;
+  }
+  const extraDraw = (calendar.extra || []).find(draw => draw.date === dateStr);
+  if (extraDraw) {
+    return extraDraw.time || game.schedule.time;
+  }
+  if (game.schedule.days.includes(dayOfWeek)) {
+    return (game.schedule.times && game.schedule.times[dayOfWeek]) || game.schedule.time;
+  }
+  return null;
+}
+
+// The UTC time of the game's draw on a local date (YYYY-MM-DD), or null when no draw is scheduled that day
+function getScheduledDrawTime(lotteryType, dateStr) {
+  // A UTC date is used purely as a calendar day in the game's timezone
+  const day = new Date(`${dateStr}T00:00:00Z`);
+  const drawTime = isNaN(day.getTime()) ? null : getDrawTimeOn(lotteryType, dateStr, day.getUTCDay());
+  if (!drawTime) {
+    return null;
+  }
+  const [hours, minutes] = drawTime.split(':').map(Number);
+  return zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hours, minutes, getGame(lotteryType).timezone);
+}
+
+// Walk the game's calendar from `from`, forwards (direction 1) or backwards (-1),
+// and return up to `count` draws as { date, time } with `date` the local draw date
+function findDraws(lotteryType, from, count, direction = 1) {
+  const game = getGame(lotteryType);
+  const start = getZonedParts(game.timezone, from);
+  
+  // A UTC date is used purely as a calendar-day cursor in the game's timezone
+  const cursor = new Date(Date.UTC(start.year, start.month - 1, start.day));
+  const maxDays = count * 7 + 60;
+  const draws = [];
+  
+  for (let i = 0; i < maxDays && draws.length < count; i++) {
+    const dateStr = cursor.toISOString().split('T')[0];
+    const drawTime = getDrawTimeOn(lotteryType, dateStr, cursor.getUTCDay());
+    
+    if (drawTime) {
+      const [hours, minutes] = drawTime.split(':').map(Number);
+      const time = zonedTimeToUtc(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, cursor.getUTCDate(), hours, minutes, game.timezone);
+      if (direction > 0 ? time > from : time <= from) {
+        draws.push({ date: dateStr, time });
+      }
+    }
+    cursor.setUTCDate(cursor.getUTCDate() + direction);
+  }
+  
+  return draws;
+}
+
+// Get the next `count` draws with their UTC and local times
+function getUpcomingDraws(lotteryType, count = 1, from = new Date()) {
+  const game = getGame(lotteryType);
+  return findDraws(lotteryType, from, count, 1).map(draw => ({
+    date: draw.date,
+    utc: draw.time.toISOString(),
+    local: formatZonedTime(draw.time, game.timezone)
+  }));
+}
+
+// Calculate the next draw date based on the lottery schedule
+function calculateNextDrawDate(lotteryType) {
+  try {
+    const [nextDraw] = getUpcomingDraws(lotteryType, 1);
+    if (nextDraw) {
+      return nextDraw.utc;
+    }
+    throw new Error('No upcoming draw found in the schedule');
+  } catch (error) {
+    logger.error('Error calculating next draw date', { lottery: lotteryType, error });
+    // Default fallback - 3 days from now
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + 3);
+    date.setUTCHours(18, 0, 0, 0);
+    return date.toISOString();
+  }
+}
+
+// Currency markers that can appear before or after an amount, longest first so
+// that e.g. "NZ$" is not read as "$"
+const CURRENCY_MARKERS = [
+  ['NZ$', 'NZD'], ['A$', 'AUD'], ['AU$', 'AUD'], ['C$', 'CAD'], ['CA$', 'CAD'], ['US$', 'USD'],
+  ['PHP', 'PHP'], ['ZAR', 'ZAR'], ['EUR', 'EUR'], ['USD', 'USD'], ['AUD', 'AUD'], ['CAD', 'CAD'], ['NZD', 'NZD'],
+  ['₱', 'PHP'], ['€', 'EUR'], ['£', 'GBP'], ['R', 'ZAR'], ['$', null] // A bare $ takes the game's own dollar currency
+];
+
+// Amount multipliers for written-out suffixes such as "40 Million" or "1,5 Mio"
+const AMOUNT_SUFFIXES = [
+  [/^(billion|bn|b|mrd|milliarden?)\b/i, 1e9],
+  [/^(million|millionen|millones|mio|mn|m)\b/i, 1e6] // Not "mil", which is a thousand in Spanish and Portuguese
+];
+
+// Whether a currency marker directly precedes or follows the number. Letter
+// markers such as "R" or "EUR" must be a word of their own, so the "r" ending
+// "Winner 5" or "Number 5" is not taken for the rand.
+function hasCurrencyMarker(before, after, marker) {
+  const isWord = /^[A-Z]+$/.test(marker);
+  const upperBefore = before.toUpperCase();
+  const upperAfter = after.toUpperCase();
+  if (upperBefore.endsWith(marker) && !(isWord && /[A-Z]$/.test(upperBefore.slice(0, -marker.length)))) {
+    return true;
+  }
+  return upperAfter.startsWith(marker) && !(isWord && /^[A-Z]/.test(upperAfter.slice(marker.length)));
+}
+
+// Parse a number written with either "," or "." as the decimal separator.
+// When only one separator kind appears it is treated as a thousands separator if
+// it repeats or is followed by exactly three digits (unless a suffix such as
+// "million" makes a decimal far more likely).
+function parseLocaleNumber(text, hasSuffix) {
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  let decimalSeparator = null;
+  
+  if (lastComma >= 0 && lastDot >= 0) {
+    decimalSeparator = lastComma > lastDot ? ',' : '.';
+  } else if (lastComma >= 0 || lastDot >= 0) {
+    const separator = lastComma >= 0 ? ',' : '.';
+    const occurrences = text.split(separator).length - 1;
+    const digitsAfter = text.length - text.lastIndexOf(separator) - 1;
+    if (occurrences === 1 && (digitsAfter !== 3 || hasSuffix)) {
+      decimalSeparator = separator;
+    }
+  }
+  
+  const thousandsPattern = decimalSeparator === ',' ? /[.\s]/g : /[,\s]/g;
+  const normalised = text.replace(decimalSeparator ? thousandsPattern : /[,.\s]/g, '').replace(',', '.');
+  return parseFloat(normalised);
+}
+
+// Turn a scraped money string such as "R10,000,000", "$40 Million", "A$1.5 million"
+// or "17.000.000 €" into { amount (integer minor units), currency, display, estimated, raw }.
+// Text without a number (e.g. "No winners") gives an amount of null.
+function parseAmount(raw, defaultCurrency, options = {}) {
+  const text = String(raw || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+  const result = {
+    amount: null,
+    currency: defaultCurrency,
+    display: text,
+    estimated: Boolean(options.estimated) || /\b(est\.?|estimated|approx\.?)\b/i.test(text),
+    raw: raw
+  };
+  
+  const numberMatch = text.match(/\d[\d.,\s]*\d|\d/);
+  if (!numberMatch) {
+    return result;
+  }
+  
+  // Currency marker directly before or after the number
+  const before = text.slice(0, numberMatch.index).trim();
+  const after = text.slice(numberMatch.index + numberMatch[0].length).trim();
+  for (const [marker, currency] of CURRENCY_MARKERS) {
+    if (hasCurrencyMarker(before, after, marker)) {
+      const dollarCurrency = ['USD', 'AUD', 'CAD', 'NZD'].includes(defaultCurrency) ? defaultCurrency : 'USD';
+      result.currency = currency || dollarCurrency;
+      break;
+    }
+  }
+  
+  const suffix = AMOUNT_SUFFIXES.find(([pattern]) => pattern.test(after.replace(/^[^a-z]*/i, '')));
+  const value = parseLocaleNumber(numberMatch[0].trim(), Boolean(suffix));
+  if (!isNaN(value)) {
+    result.amount = Math.round(value * (suffix ? suffix[1] : 1) * 100);
+  }
+  
+  if (options.cashValue) {
+    const cashValue = parseAmount(options.cashValue, result.currency);
+    if (cashValue.amount !== null) {
+      result.cashValue = cashValue.amount;
+    }
+  }
+  
+  return result;
+}
+
+// Replace the free-text prize on each division with a structured amount
+function normaliseDivisionPrizes(divisions, currency) {
+  return divisions.map(division => Object.assign({}, division, {
+    prize: typeof division.prize === 'string' ? parseAmount(division.prize, currency) : division.prize
+  }));
+}
+
+// Placeholder jackpots per currency, used when no jackpot could be scraped
+const DEFAULT_JACKPOTS = {
+  ZAR: 'R10,000,000',
+  USD: '$40,000,000',
+  EUR: '€17,000,000',
+  AUD: 'A$3,000,000',
+  CAD: 'C$5,000,000',
+  NZD: 'NZ$4,000,000',
+  PHP: '₱15,000,000'
+};
+
+// Get default jackpot based on the game's currency
+function getDefaultJackpot(lotteryType) {
+  const game = getGame(lotteryType);
+  return (game && DEFAULT_JACKPOTS[game.currency]) || '$1,000,000';
+}
+
+// Create default prize divisions
+function createDefaultDivisions(lotteryType) {
+  if (lotteryType.includes('sa_lotto')) {
+    return [
+      { division: "Division 1", match: "6 correct numbers", winners: 0, prize: "R0" },
+      { division: "Division 2", match: "5 correct + bonus", winners: 2, prize: "R139,799.40" },
+      { division: "Division 3", match: "5 correct numbers", winners: 31, prize: "R4,885.60" },
+      { division: "Division 4", match: "4 correct + bonus", winners: 112, prize: "R2,147.20" },
+      { division: "Division 5", match: "4 correct numbers", winners: 2214, prize: "R147.20" }
+    ];
+  } else if (lotteryType.includes('sa_powerball')) {
+    return [
+      { division: "Division 1", match: "5 correct + Powerball", winners: 0, prize: "R0" },
+      { division: "Division 2", match: "5 correct numbers", winners: 3, prize: "R262,450.30" },
+      { division: "Division 3", match: "4 correct + Powerball", winners: 18, prize: "R11,568.20" },
+      { division: "Division 4", match: "4 correct numbers", winners: 483, prize: "R975.50" },
+      { division: "Division 5", match: "3 correct + Powerball", winners: 1056, prize: "R496.80" }
+    ];
+  } else if (lotteryType.includes('us_megamillions')) {
+    return [
+      { division: "Jackpot", match: "5 + Mega Ball", winners: 0, prize: "$0" },
+      { division: "Second Prize", match: "5 correct numbers", winners: 1, prize: "$1,000,000" },
+      { division: "Third Prize", match: "4 + Mega Ball", winners: 8, prize: "$10,000" },
+      { division: "Fourth Prize", match: "4 correct numbers", winners: 152, prize: "$500" },
+      { division: "Fifth Prize", match: "3 + Mega Ball", winners: 423, prize: "$200" }
+    ];
+  } else if (lotteryType.includes('us_powerball')) {
+    return [
+      { division: "Grand Prize", match: "5 + Powerball", winners: 0, prize: "$0" },
+      { division: "Prize 2", match: "5 correct numbers", winners: 2, prize: "$1,000,000" },
+      { division: "Prize 3", match: "4 + Powerball", winners: 12, prize: "$50,000" },
+      { division: "Prize 4", match: "4 correct numbers", winners: 267, prize: "$100" },
+      { division: "Prize 5", match: "3 + Powerball", winners: 633, prize: "$100" }
+    ];
+  } else {
+    // The game's own prize tiers, without winners or prizes
+    const game = getGame(lotteryType);
+    return game.prizeTiers.map((tier, index) => ({
+      division: `Division ${index + 1}`,
+      match: describePrizeTier(game, tier),
+      winners: 0,
+      prize: 'Not available'
+    }));
+  }
+}
+
+// What a prize tier matches, e.g. "5 correct + 1 Bonus Ball"
+function describePrizeTier(game, tier) {
+  const mainCounts = [].concat(tier.main).join(' or ');
+  return tier.bonus ? `${mainCounts} correct + ${tier.bonus} ${game.bonusBalls.label}` : `${mainCounts} correct numbers`;
+}
+
+// Change events raised by the extraction pipeline, one 'change' event per detected change:
+// { type: 'new_result' | 'jackpot_change' | 'divisions_published', lottery, occurredAt, data }
+const lotteryEvents = new EventEmitter();
+lotteryEvents.setMaxListeners(0); // Every open stream adds a listener
+
+// Compare freshly scraped data with what was there before and publish what changed.
+// latestDrawChange is the history store outcome for the latest draw, or null when
+// the store was empty before (so first-time seeding does not look like new results).
+function publishLotteryChanges(lotteryType, previousData, lotteryData, latestDrawChange) {
+  const fields = lotteryData.provenance.fields;
+  const previousFields = previousData ? previousData.provenance.fields : null;
+  const emit = (type, data) => lotteryEvents.emit('change', {
+    type,
+    lottery: lotteryType,
+    occurredAt: new Date().toISOString(),
+    data
+  });
+  
+  const hasScrapedResult = isKnownField(fields.winningNumbers) && isKnownField(fields.lastDrawDate);
+  const previousResultDiffers = previousFields &&
+    isKnownField(previousFields.winningNumbers) &&
+    (previousData.lastDrawDate !== lotteryData.lastDrawDate ||
+      previousData.winningNumbers.join(',') !== lotteryData.winningNumbers.join(','));
+  
+  if (hasScrapedResult && (latestDrawChange === 'created' || previousResultDiffers)) {
+    emit('new_result', {
+      drawDate: lotteryData.lastDrawDate,
+      winningNumbers: lotteryData.winningNumbers,
+      bonusNumbers: lotteryData.bonusNumbers,
+      jackpot: lotteryData.jackpot,
+      divisions: isKnownField(fields.divisions) ? lotteryData.divisions : []
+    });
+  } else if (hasScrapedResult && isKnownField(fields.divisions) &&
+             (latestDrawChange === 'updated' || (previousFields && !isKnownField(previousFields.divisions)))) {
+    emit('divisions_published', {
+      drawDate: lotteryData.lastDrawDate,
+      divisions: lotteryData.divisions
+    });
+  }
+  
+  if (previousFields && isKnownField(previousFields.jackpot) && isKnownField(fields.jackpot) &&
+      previousData.jackpot.amount !== lotteryData.jackpot.amount) {
+    emit('jackpot_change', {
+      previousJackpot: previousData.jackpot,
+      jackpot: lotteryData.jackpot
+    });
+  }
+}
+
+// Webhook event types clients can subscribe to
+const WEBHOOK_EVENTS = ['new_result', 'jackpot_change', 'jackpot_threshold'];
+
+// Webhook subscriptions, persisted as a JSON file. Each subscription has its own
+// HMAC secret and is managed with the token returned when it was created (only
+// its hash is stored), together with the API key it was created with, if any;
+// deliveries that keep failing end up on the dead-letter list.
+const subscriptionStore = {
+  file: path.join(DATA_DIR, 'subscriptions.json'),
+  subscriptions: {},
+  deadLetters: [],
+  maxDeadLetters: 500,
+  loaded: false,
+  writeQueue: Promise.resolve(),
+  
+  load: function() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!fs.existsSync(this.file)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.subscriptions = stored.subscriptions || {};
+      this.deadLetters = stored.deadLetters || [];
+    } catch (e) {
+      logger.error('Error reading subscriptions file', { file: this.file, error: e });
+    }
+  },
+  
+  persist: function() {
+    const contents = JSON.stringify({ subscriptions: this.subscriptions, deadLetters: this.deadLetters }, null, 2);
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.mkdir(path.dirname(this.file), { recursive: true }))
+      .then(() => fs.promises.writeFile(this.file, contents))
+      .catch(err => logger.error('Error writing subscriptions file', { file: this.file, error: err }));
+    return this.writeQueue;
+  },
+  
+  hash: function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  },
+  
+  list: function() {
+    this.load();
+    return Object.values(this.subscriptions);
+  },
+  
+  // Subscriptions managed with a token under an API key (null for subscriptions
+  // made without a key)
+  listForToken: function(token, apiKeyId) {
+    const tokenHash = this.hash(token);
+    return this.list().filter(subscription => subscription.tokenHash === tokenHash && (subscription.apiKeyId || null) === apiKeyId);
+  },
+  
+  get: function(id) {
+    this.load();
+    return this.subscriptions[id] || null;
+  },
+  
+  add: function(subscription) {
+    this.load();
+    this.subscriptions[subscription.id] = subscription;
+    this.persist();
+  },
+  
+  remove: function(id) {
+    this.load();
+    if (!this.subscriptions[id]) return false;
+    delete this.subscriptions[id];
+    this.persist();
+    return true;
+  },
+  
+  addDeadLetter: function(deadLetter) {
+    this.load();
+    this.deadLetters.unshift(deadLetter);
+    this.deadLetters = this.deadLetters.slice(0, this.maxDeadLetters);
+    this.persist();
+  }
+};
+
+// Subscription as shown by the API - the secret is only returned when it is created
+function describeSubscription(subscription) {
+  const { secret, tokenHash, ...publicFields } = subscription;
+  return publicFields;
+}
+
+// Whether an IP address is on the public internet, i.e. not loopback, private
+// (RFC 1918, unique local), link-local, shared (carrier-grade NAT), multicast or
+// otherwise reserved. Webhooks are only delivered to public addresses so that a
+// subscription cannot make the server call services on its own network.
+function isPublicAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b, c] = address.split('.').map(Number);
+    return !(a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 192 && b === 0 && c === 0) || (a === 198 && (b === 18 || b === 19)));
+  }
+  if (!net.isIPv6(address)) {
+    return false;
+  }
+  
+  // Expand to eight 16-bit words, converting a trailing dotted IPv4 part
+  let text = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headWords = head ? head.split(':') : [];
+  const tailWords = tail ? tail.split(':') : [];
+  const words = (tail === undefined ? headWords : headWords.concat(Array(8 - headWords.length - tailWords.length).fill('0'), tailWords))
+    .map(word => parseInt(word, 16));
+  
+  // IPv4-mapped, IPv4-compatible (including :: and ::1) and NAT64 addresses are
+  // judged by the IPv4 address they carry
+  const carriesIPv4 = (words.slice(0, 5).every(word => word === 0) && (words[5] === 0 || words[5] === 0xffff)) ||
+    (words[0] === 0x64 && words[1] === 0xff9b && words.slice(2, 6).every(word => word === 0));
+  if (carriesIPv4) {
+    return isPublicAddress([words[6] >> 8, words[6] & 255, words[7] >> 8, words[7] & 255].join('.'));
+  }
+  return !((words[0] & 0xfe00) === 0xfc00 || (words[0] & 0xffc0) === 0xfe80 || (words[0] & 0xff00) === 0xff00 ||
+    (words[0] === 0x2001 && words[1] === 0x0db8));
+}
+
+// DNS lookup for webhook requests that refuses hosts resolving to non-public
+// addresses. Checking the address actually connected to means a name re-pointed
+// after the subscription was checked cannot reach internal services either.
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(entry => !isPublicAddress(entry));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address (${blocked})`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// Check the host of a webhook URL before subscribing: an IP address, or every
+// address the name resolves to, must be public. Resolves with the problem, or null.
+async function checkWebhookTarget(target) {
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  const refused = 'url must not point to a loopback, private or link-local address.';
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : refused;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (e) {
+    return `url host ${hostname} could not be resolved.`;
+  }
+  return addresses.every(entry => isPublicAddress(entry.address)) ? null : refused;
+}
+
+// POST a signed JSON payload to a URL, resolves with the status code for 2xx responses
+function postWebhook(url, body, headers, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+      return reject(new Error(`Webhook URL points to a non-public address (${hostname})`));
+    }
+    const client = target.protocol === 'http:' ? http : https;
+    const request = client.request(target, {
+      method: 'POST',
+      lookup: lookupPublicAddress,
+      headers: Object.assign({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'lottery-api-webhooks/1.0'
+      }, headers),
+      timeout: timeout
+    }, (res) => {
+      res.resume(); // The response body is not used
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        resolve(res.statusCode);
+      } else {
+        reject(new Error(`Webhook endpoint responded with status code: ${res.statusCode}`));
+      }
+    });
+    
+    request.on('error', reject);
+    request.on('timeout', () => {
+      request.abort();
+      reject(new Error('Webhook request timed out'));
+    });
+    request.end(body);
+  });
+}
+
+// Webhook delivery with retries. Failed attempts are retried with exponential
+// backoff; after maxAttempts the delivery goes to the dead-letter list.
+const webhookDispatcher = {
+  maxAttempts: 6,
+  baseDelay: 30 * 1000, // 30s, 1m, 2m, 4m, 8m between attempts
+  
+  // Work out which subscriptions want a change event and queue a delivery for each
+  handleChange: function(change) {
+    for (const subscription of subscriptionStore.list()) {
+      if (!subscription.lotteries.includes(change.lottery)) continue;
+      
+      if (change.type === 'new_result' || change.type === 'jackpot_change') {
+        if (subscription.events.includes(change.type)) {
+          this.deliver(subscription, change.type, change);
+        }
+      }
+      
+      // Threshold events fire when the jackpot rises past the subscription's threshold
+      if (change.type === 'jackpot_change' && subscription.events.includes('jackpot_threshold')) {
+        const threshold = subscription.jackpotThreshold * 100; // Thresholds are in major units, amounts in minor units
+        const previousAmount = change.data.previousJackpot.amount || 0;
+        if (previousAmount < threshold && change.data.jackpot.amount >= threshold) {
+          this.deliver(subscription, 'jackpot_threshold', change);
+        }
+      }
+    }
+  },
+  
+  deliver: function(subscription, event, change) {
+    const payload = {
+      id: crypto.randomBytes(12).toString('hex'),
+      event: event,
+      lottery: change.lottery,
+      occurredAt: change.occurredAt,
+      subscriptionId: subscription.id,
+      data: change.data
+    };
+    this.attempt(subscription.id, payload, 1);
+  },
+  
+  attempt: async function(subscriptionId, payload, attemptNumber) {
+    const subscription = subscriptionStore.get(subscriptionId);
+    if (!subscription) return; // Deleted while a retry was pending
+    
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', subscription.secret).update(body).digest('hex');
+    try {
+      await postWebhook(subscription.url, body, {
+        'X-Lottery-Event': payload.event,
+        'X-Lottery-Delivery': payload.id,
+        'X-Lottery-Signature': `sha256=${signature}`
+      });
+      logger.info('Delivered webhook', { event: payload.event, delivery: payload.id, subscription: subscription.id });
+    } catch (error) {
+      logger.warn('Webhook delivery attempt failed', { event: payload.event, delivery: payload.id, subscription: subscription.id, attempt: attemptNumber, error });
+      if (attemptNumber >= this.maxAttempts) {
+        subscriptionStore.addDeadLetter({
+          subscriptionId: subscription.id,
+          url: subscription.url,
+          payload: payload,
+          attempts: attemptNumber,
+          lastError: error.message,
+          failedAt: new Date().toISOString()
+        });
+        return;
+      }
+      const delay = this.baseDelay * Math.pow(2, attemptNumber - 1);
+      setTimeout(() => this.attempt(subscriptionId, payload, attemptNumber + 1), delay).unref();
+    }
+  }
+};
+
+lotteryEvents.on('change', change => webhookDispatcher.handleChange(change));
+
+// Recent change events for the live stream, so reconnecting clients can resume
+// from their Last-Event-ID. Ids are prefixed with a per-process boot id so ids
+// from before a restart are recognised as unknown rather than replayed wrongly.
+const streamBuffer = {
+  bootId: crypto.randomBytes(4).toString('hex'),
+  nextId: 1,
+  events: [],
+  maxEvents: 500,
+  
+  add: function(change) {
+    const event = Object.assign({ id: `${this.bootId}-${this.nextId++}` }, change);
+    this.events.push(event);
+    if (this.events.length > this.maxEvents) {
+      this.events.shift();
+    }
+    return event;
+  },
+  
+  // Events after the given id, or null when the id is unknown (other process or too old)
+  since: function(lastEventId) {
+    const [bootId, sequence] = String(lastEventId).split('-');
+    const number = parseInt(sequence, 10);
+    if (bootId !== this.bootId || isNaN(number)) return null;
+    const oldest = this.events.length > 0 ? parseInt(this.events[0].id.split('-')[1], 10) : this.nextId;
+    if (number < oldest - 1) return null;
+    return this.events.filter(event => parseInt(event.id.split('-')[1], 10) > number);
+  }
+};
+
+lotteryEvents.on('change', change => lotteryEvents.emit('stream', streamBuffer.add(change)));
+
+// Create an error that carries the HTTP status and body the API should respond with;
+// any `details` are added to the response body
+function createApiError(status, error, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.error = error;
+  err.details = details || null;
+  return err;
+}
+
+// Status and response body for an error created by createApiError, or a generic 500 for anything else
+function describeApiError(err) {
+  if (err.status) {
+    return { status: err.status, body: Object.assign({ error: err.error, message: err.message }, err.details) };
+  }
+  logger.error('Unexpected error in API endpoint', { error: err });
+  return {
+    status: 500,
+    body: {
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred while processing your request.'
+    }
+  };
+}
+
+// Hash of a response's content, used as its ETag
+function contentHash(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64').replace(/=+$/, '');
+}
+
+// Hash of lottery data without its provenance, which changes on every scrape
+// (fetch times) even when the result itself has not. Placeholder (synthetic)
+// fields are left out too: they hold no data from the sources, so a placeholder
+// replaced by another must not change the hash.
+function lotteryContentHash(lotteryData) {
+  const hashed = Object.assign({}, lotteryData, { provenance: undefined });
+  for (const field of Object.keys(getSyntheticFields(lotteryData))) {
+    hashed[field] = undefined;
+  }
+  return contentHash(hashed);
+}
+
+// Set the validators and freshness lifetime of a cacheable response. Express
+// answers If-None-Match / If-Modified-Since with an empty 304 from these headers
+// when the response is sent. ETags are weak as equal content can be serialised
+// with different provenance timestamps. Responses to key holders, or to anyone
+// when keys are required, are private: a shared cache would otherwise hand them
+// to callers who never passed the key check.
+function setCacheHeaders(res, { etag, lastModified, maxAge }) {
+  res.set('ETag', `W/"${etag}"`);
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  const scope = res.req.apiKey || REQUIRE_API_KEY ? 'private' : 'public';
+  res.set('Cache-Control', `${scope}, max-age=${Math.max(0, Math.floor(maxAge / 1000))}`);
+  res.vary('X-API-Key');
+}
+
+// Milliseconds until a game's next scheduled draw, or null when none is scheduled
+function timeUntilNextDraw(lotteryType, now = new Date()) {
+  const [nextDraw] = findDraws(lotteryType, now, 1, 1);
+  return nextDraw ? nextDraw.time - now : null;
+}
+
+// Send an error created by createApiError, or a generic 500 for anything else
+function sendApiError(res, err) {
+  const { status, body } = describeApiError(err);
+  return res.status(status).json(body);
+}
+
+// Check that a lottery type is in the catalog and has at least one source
+function isLotterySupported(lotteryType) {
+  return Boolean(getGame(lotteryType) && getSourcesForGame(lotteryType).length > 0);
+}
+
+// Respond with the standard 404 for unsupported lottery types
+function sendLotteryNotSupported(res) {
+  return res.status(404).json({
+    error: 'Lottery not supported',
+    message: 'This lottery type is not currently supported by our data sources.'
+  });
+}
+
+// Latest-draw fields compared between sources
+const CONSENSUS_FIELDS = ['lastDrawDate', 'winningNumbers', 'bonusNumbers', 'powerball'];
+
+// The draw a source reports for a date: its latest draw, or a scraped historical result
+function findSourceDraw(sourceData, drawDate) {
+  const fields = sourceData.provenance.fields;
+  if (fields.winningNumbers.type === 'scraped' && fields.lastDrawDate.type === 'scraped' &&
+      sourceData.lastDrawDate === drawDate) {
+    return { date: drawDate, numbers: sourceData.winningNumbers, bonusNumbers: sourceData.bonusNumbers };
+  }
+  if (fields.historicalResults.type === 'scraped') {
+    return sourceData.historicalResults.find(result => result.date === drawDate) || null;
+  }
+  return null;
+}
+
+// Conflicts between sources, and between a source and the stored history,
+// newest first, for the admin view
+const consensusConflicts = {
+  entries: [],
+  maxEntries: 200,
+  
+  add: function(conflict) {
+    this.entries.unshift(conflict);
+    this.entries = this.entries.slice(0, this.maxEntries);
+  }
+};
+
+// Compare the preferred source's latest draw with the other sources and set
+// lotteryData.confidence to 'confirmed' (another source reports the same numbers
+// and bonus balls, in any order, for the same date), 'single-source' (nothing to
+// compare with, e.g. the other sources have not published the draw yet) or
+// 'conflict'. A result no other source answered for, e.g. while the fallback
+// source is down, is still published as 'single-source'; only a disputed
+// result is withheld.
+function applyConsensus(lotteryType, lotteryData, otherSources) {
+  const fields = lotteryData.provenance.fields;
+  const hasResult = fields.winningNumbers.type === 'scraped' && fields.lastDrawDate.type === 'scraped';
+  const confirmedBy = [];
+  const disagreeing = [];
+  
+  if (hasResult) {
+    const ownDraw = findSourceDraw(lotteryData, lotteryData.lastDrawDate);
+    for (const sourceData of otherSources) {
+      const otherDraw = findSourceDraw(sourceData, lotteryData.lastDrawDate);
+      if (!otherDraw) continue;
+      if (drawResultKey(otherDraw) === drawResultKey(ownDraw)) {
+        confirmedBy.push(sourceData.provenance.source);
+      } else {
+        disagreeing.push({ source: sourceData.provenance.source, numbers: otherDraw.numbers, bonusNumbers: otherDraw.bonusNumbers || [] });
+      }
+    }
+  }
+  
+  lotteryData.provenance.confirmedBy = confirmedBy;
+  if (disagreeing.length === 0) {
+    lotteryData.confidence = confirmedBy.length > 0 ? 'confirmed' : 'single-source';
+    return;
+  }
+  
+  lotteryData.confidence = 'conflict';
+  const conflict = {
+    lottery: lotteryType,
+    drawDate: lotteryData.lastDrawDate,
+    detectedAt: new Date().toISOString(),
+    sources: [{
+      source: lotteryData.provenance.source,
+      numbers: lotteryData.winningNumbers,
+      bonusNumbers: lotteryData.bonusNumbers
+    }].concat(disagreeing)
+  };
+  consensusConflicts.add(conflict);
+  logger.warn('Sources disagree on a draw, withholding the result', { lottery: lotteryType, date: lotteryData.lastDrawDate, sources: conflict.sources });
+  withholdResult(lotteryData, 'Sources disagree on this draw, the result is withheld until they agree');
+}
+
+// Clear the latest draw's result, leaving the rest of the data in place
+function withholdResult(lotteryData, reason) {
+  lotteryData.winningNumbers = [];
+  lotteryData.bonusNumbers = [];
+  lotteryData.powerball = null;
+  setProvenance(lotteryData, CONSENSUS_FIELDS, 'missing', reason);
+}
+
+// Build an override record from an admin's input for a draw, checked against the
+// game rules. Returns { override } or { reasons } when the input is invalid.
+// Divisions are given by tier as { tier, winners, prize } and the jackpot and
+// prizes as money text ("R25,000,000") or amounts in major units.
+function buildDrawOverride(lotteryType, date, input, actor, existing) {
+  const game = getGame(lotteryType);
+  const { numbers, bonusNumbers = [], drawNumber = null, jackpot = null, divisions = null, pinned = false, reason } = input || {};
+  const reasons = [];
+  
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    reasons.push('date: must be in YYYY-MM-DD format');
+  } else if (!Array.isArray(numbers) || !Array.isArray(bonusNumbers)) {
+    reasons.push('numbers: numbers and bonusNumbers must be lists of numbers');
+  } else {
+    reasons.push(...validateDraw(lotteryType, { date, numbers, bonusNumbers }));
+  }
+  if (drawNumber !== null && !(Number.isInteger(drawNumber) && drawNumber > 0)) {
+    reasons.push('drawNumber: must be a positive whole number');
+  }
+  if (typeof pinned !== 'boolean') {
+    reasons.push('pinned: must be true or false');
+  }
+  if (typeof reason !== 'string' || reason.trim() === '') {
+    reasons.push('reason: say why the draw is being entered or corrected');
+  }
+  
+  const parsedJackpot = jackpot === null ? null : parseAmount(String(jackpot), game.currency);
+  if (parsedJackpot && parsedJackpot.amount === null) {
+    reasons.push('jackpot: no amount found');
+  }
+  
+  let parsedDivisions = null;
+  if (divisions !== null) {
+    const tiers = Array.isArray(divisions) ? divisions.map(division => division && division.tier) : [];
+    const validTiers = tiers.length > 0 && tiers.every(tier => Number.isInteger(tier) && tier >= 1 && tier <= game.prizeTiers.length) &&
+      new Set(tiers).size === tiers.length;
+    if (!validTiers) {
+      reasons.push(`divisions: must be a list with one entry per tier, tiers 1-${game.prizeTiers.length}`);
+    } else if (!divisions.every(division => Number.isInteger(division.winners) && division.winners >= 0)) {
+      reasons.push('divisions: winners must be whole numbers');
+    } else {
+      parsedDivisions = divisions.map(division => ({
+        division: `Division ${division.tier}`,
+        tier: division.tier,
+        label: `Division ${division.tier}`,
+        match: describePrizeTier(game, game.prizeTiers[division.tier - 1]),
+        winners: division.winners,
+        prize: division.prize === undefined || division.prize === null ? null : parseAmount(String(division.prize), game.currency)
+      })).sort((a, b) => a.tier - b.tier);
+      reasons.push(...validateDivisions(parsedDivisions));
+    }
+  }
+  
+  if (reasons.length > 0) {
+    return { reasons };
+  }
+  const now = new Date().toISOString();
+  return {
+    override: {
+      lottery: lotteryType,
+      date,
+      drawNumber,
+      numbers,
+      bonusNumbers,
+      jackpot: parsedJackpot,
+      divisions: parsedDivisions,
+      rollover: parsedDivisions ? detectRollover(parsedDivisions) : null,
+      pinned,
+      reason: reason.trim(),
+      createdBy: existing ? existing.createdBy : actor,
+      createdAt: existing ? existing.createdAt : now,
+      updatedBy: actor,
+      updatedAt: now
+    }
+  };
+}
+
+// Apply a game's admin overrides to freshly scraped data. An override for the
+// latest draw (or a newer one the sources have not published) sets the latest
+// draw fields; one for an older draw replaces that entry in historicalResults.
+// Overridden fields get provenance type 'override' and every applied override
+// is listed in provenance.overrides. Unpinned overrides for draws the sources now
+// report with the same numbers are not applied; they are returned as superseded.
+// One the sources report differently stays applied, as the correction it is.
+// Applying the same overrides again to data they were applied to changes nothing.
+function applyDrawOverrides(lotteryData, overrides) {
+  const fields = lotteryData.provenance.fields;
+  const applied = [];
+  const superseded = [];
+  
+  for (const override of overrides) {
+    const describe = (scope) => ({
+      date: override.date,
+      scope,
+      pinned: override.pinned,
+      reason: override.reason,
+      updatedBy: override.updatedBy,
+      updatedAt: override.updatedAt
+    });
+    const latestDate = isKnownField(fields.lastDrawDate) ? lotteryData.lastDrawDate : null;
+    
+    if (latestDate && override.date < latestDate) {
+      const index = lotteryData.historicalResults.findIndex(result => result.date === override.date);
+      if (index >= 0 && !lotteryData.historicalResults[index].override && !override.pinned &&
+          drawResultKey(lotteryData.historicalResults[index]) === drawResultKey(override)) {
+        superseded.push(override);
+        continue;
+      }
+      // Missing history is left alone; the override is already in the history store
+      if (fields.historicalResults.type !== 'scraped') {
+        continue;
+      }
+      const result = {
+        date: override.date,
+        drawNumber: override.drawNumber,
+        numbers: override.numbers,
+        bonusNumbers: override.bonusNumbers,
+        powerball: getPowerball(override.bonusNumbers, getGame(override.lottery)),
+        divisions: override.divisions || (index >= 0 ? lotteryData.historicalResults[index].divisions : []),
+        rollover: override.divisions ? override.rollover : (index >= 0 ? lotteryData.historicalResults[index].rollover : null),
+        override: describe('history')
+      };
+      if (index >= 0) {
+        lotteryData.historicalResults[index] = result;
+      } else {
+        const position = lotteryData.historicalResults.findIndex(existing => existing.date < override.date);
+        lotteryData.historicalResults.splice(position >= 0 ? position : lotteryData.historicalResults.length, 0, result);
+      }
+      applied.push(describe('history'));
+      continue;
+    }
+    
+    const sameDraw = override.date === latestDate;
+    if (sameDraw && fields.winningNumbers.type === 'scraped' && !override.pinned &&
+        drawResultKey({ numbers: lotteryData.winningNumbers, bonusNumbers: lotteryData.bonusNumbers }) === drawResultKey(override)) {
+      superseded.push(override);
+      continue;
+    }
+    
+    // A newer draw than the sources have: the current latest draw (perhaps itself
+    // overridden) moves into the history
+    if (!sameDraw && latestDate && isKnownField(fields.winningNumbers) && fields.historicalResults.type === 'scraped') {
+      const previousOverride = applied.find(entry => entry.scope === 'latest' && entry.date === latestDate);
+      if (previousOverride) {
+        previousOverride.scope = 'history';
+      }
+      lotteryData.historicalResults.unshift(Object.assign({
+        date: lotteryData.lastDrawDate,
+        drawNumber: lotteryData.drawNumber,
+        numbers: lotteryData.winningNumbers,
+        bonusNumbers: lotteryData.bonusNumbers,
+        powerball: lotteryData.powerball,
+        divisions: isKnownField(fields.divisions) ? lotteryData.divisions : [],
+        rollover: lotteryData.rollover
+      }, previousOverride ? { override: previousOverride } : null));
+    }
+    
+    const overriddenFields = ['lastDrawDate', 'drawNumber', 'winningNumbers', 'bonusNumbers', 'powerball'];
+    Object.assign(lotteryData, {
+      lastDrawDate: override.date,
+      drawNumber: override.drawNumber || (sameDraw ? lotteryData.drawNumber : null),
+      winningNumbers: override.numbers,
+      bonusNumbers: override.bonusNumbers,
+      powerball: getPowerball(override.bonusNumbers, getGame(override.lottery)),
+      confidence: 'override'
+    });
+    if (override.divisions) {
+      lotteryData.divisions = override.divisions;
+      lotteryData.rollover = override.rollover;
+      overriddenFields.push('divisions', 'rollover');
+    } else if (!sameDraw) {
+      // The scraped divisions belong to an older draw
+      lotteryData.divisions = [];
+      lotteryData.rollover = null;
+      setProvenance(lotteryData, ['divisions', 'rollover'], 'missing', 'No prize divisions were entered for this draw');
+    }
+    if (override.jackpot) {
+      lotteryData.jackpot = override.jackpot;
+      overriddenFields.push('jackpot');
+    }
+    setProvenance(lotteryData, overriddenFields, 'override', override.reason);
+    for (const field of overriddenFields) {
+      Object.assign(fields[field], { source: 'admin', pinned: override.pinned, updatedBy: override.updatedBy, updatedAt: override.updatedAt });
+    }
+    applied.push(describe('latest'));
+  }
+  
+  lotteryData.provenance.overrides = applied;
+  return superseded;
+}
+
+// A copy of lottery data with the game's admin overrides applied, for data that
+// was not scraped just now: cached entries, which may predate an override, and
+// the empty base served when every source failed. Only a scrape retires overrides.
+function withDrawOverrides(lotteryType, lotteryData) {
+  const overrides = overrideStore.list(lotteryType);
+  if (overrides.length === 0) {
+    return lotteryData;
+  }
+  const copy = JSON.parse(JSON.stringify(lotteryData));
+  applyDrawOverrides(copy, overrides);
+  return copy;
+}
+
+// Check a drawn result ({ date, numbers, bonusNumbers }) against the game rules
+// in force on its date. Returns the reasons it is invalid; an empty list means it
+// passed. The date is only checked when given, and the current rules apply without one.
+function validateDraw(lotteryType, draw, now = new Date()) {
+  const game = getGameRulesOn(lotteryType, draw.date);
+  const reasons = [];
+  const checkBalls = (balls, spec, label) => {
+    if (balls.length !== spec.count) {
+      reasons.push(`${label}: expected ${spec.count} number(s), found ${balls.length}`);
+    }
+    const outOfRange = balls.filter(n => !Number.isInteger(n) || n < spec.min || n > spec.max);
+    if (outOfRange.length > 0) {
+      reasons.push(`${label}: ${outOfRange.join(', ')} outside ${spec.min}-${spec.max}`);
+    }
+    if (new Set(balls).size !== balls.length) {
+      reasons.push(`${label}: duplicate numbers`);
+    }
+  };
+  
+  checkBalls(draw.numbers || [], game.mainBalls, 'numbers');
+  
+  const bonusNumbers = draw.bonusNumbers || [];
+  if (game.bonusBalls) {
+    checkBalls(bonusNumbers, game.bonusBalls, 'bonusNumbers');
+    if (game.bonusBalls.fromMainPool && bonusNumbers.some(n => (draw.numbers || []).includes(n))) {
+      reasons.push('bonusNumbers: repeats a main number');
+    }
+  } else if (bonusNumbers.length > 0) {
+    reasons.push('bonusNumbers: this game has no bonus balls');
+  }
+  
+  if (draw.date) {
+    const time = getScheduledDrawTime(lotteryType, draw.date);
+    if (!time) {
+      reasons.push(`date: no draw is scheduled on ${draw.date}`);
+    } else if (time > now) {
+      reasons.push(`date: the ${draw.date} draw has not taken place yet`);
+    }
+  }
+  
+  return reasons;
+}
+
+// Check that division prizes fall from the top division down. Divisions paying
+// nothing (no winners, or the jackpot rolled over) are skipped.
+function validateDivisions(divisions) {
+  const reasons = [];
+  let previous = null;
+  for (const division of divisions) {
+    const amount = division.prize ? division.prize.amount : null;
+    if (!amount) continue;
+    if (previous && amount > previous.prize.amount) {
+      reasons.push(`divisions: ${division.division} pays more than ${previous.division}`);
+    }
+    previous = division;
+  }
+  return reasons;
+}
+
+// Results rejected by validation, newest first, for the admin view
+const validationRejections = {
+  entries: [],
+  maxEntries: 200,
+  
+  add: function(rejection) {
+    this.entries.unshift(rejection);
+    this.entries = this.entries.slice(0, this.maxEntries);
+  }
+};
+
+// Validate the scraped fields of a source's result before it is used. Past
+// results that fail are dropped; a failing latest draw or division table rejects
+// the whole result so the next source is tried. Placeholder (synthetic) fields
+// are not checked. Returns the reasons the result was rejected (empty when it
+// can be used) and records every rejection.
+function validateLotteryData(lotteryType, lotteryData) {
+  const fields = lotteryData.provenance.fields;
+  const source = lotteryData.provenance.source;
+  const reasons = [];
+  
+  if (fields.winningNumbers.type === 'scraped') {
+    reasons.push(...validateDraw(lotteryType, {
+      date: fields.lastDrawDate.type === 'scraped' ? lotteryData.lastDrawDate : null,
+      numbers: lotteryData.winningNumbers,
+      bonusNumbers: lotteryData.bonusNumbers
+    }));
+  }
+  if (fields.divisions.type === 'scraped') {
+    reasons.push(...validateDivisions(lotteryData.divisions));
+  }
+  
+  let rejectedHistory = 0;
+  if (fields.historicalResults.type === 'scraped') {
+    lotteryData.historicalResults = lotteryData.historicalResults.filter(result => {
+      const resultReasons = validateDraw(lotteryType, result).concat(validateDivisions(result.divisions || []));
+      if (resultReasons.length === 0) {
+        return true;
+      }
+      rejectedHistory++;
+      validationRejections.add({
+        lottery: lotteryType,
+        source,
+        drawDate: result.date,
+        scope: 'history',
+        reasons: resultReasons,
+        rejectedAt: new Date().toISOString()
+      });
+      return false;
+    });
+    if (lotteryData.historicalResults.length === 0) {
+      setProvenance(lotteryData, 'historicalResults', 'missing', 'Every past result on the source page failed validation');
+    }
+  }
+  lotteryData.provenance.validation = { rejectedHistory };
+  
+  if (reasons.length > 0) {
+    validationRejections.add({
+      lottery: lotteryType,
+      source,
+      drawDate: lotteryData.lastDrawDate,
+      scope: 'result',
+      reasons,
+      rejectedAt: new Date().toISOString()
+    });
+  }
+  return reasons;
+}
+
+// Scrapes in progress by lottery type, so concurrent requests share one upstream fetch
+const inFlightFetches = {};
+
+// Outcome of the latest scrapes by lottery type, for the deep status check
+const scrapeStatus = {};
+
+// Get lottery data from the cache, or scrape it from the game's sources in order.
+// An entry just past its TTL is served while it is refreshed in the background.
+// When every source fails the last good data is served with `stale: true`, or
+// the admin overrides alone when there is none; an API error is thrown only when
+// there are neither. Cached data is served with the current overrides applied.
+// Pass forceRefresh to skip the cache and always scrape (failures are thrown).
+async function getLotteryData(lotteryType, options = {}) {
+  if (options.forceRefresh) {
+    return fetchLotteryData(lotteryType);
+  }
+  
+  // Check if data is in cache
+  const entry = await cache.lookup(lotteryType);
+  if (entry && cache.isFresh(entry)) {
+    metrics.increment('lottery_cache_requests_total', { lottery: lotteryType, result: 'hit' });
+    logger.debug('Returning cached data', { lottery: lotteryType });
+    return withDrawOverrides(lotteryType, entry.value);
+  }
+  if (entry && Date.now() - entry.storedAt < entry.maxAge + cache.staleWhileRevalidate) {
+    metrics.increment('lottery_cache_requests_total', { lottery: lotteryType, result: 'stale' });
+    logger.info('Returning cached data while it is refreshed', { lottery: lotteryType });
+    fetchLotteryData(lotteryType).catch(error => {
+      logger.error('Background refresh failed', { lottery: lotteryType, error });
+    });
+    return withDrawOverrides(lotteryType, entry.value);
+  }
+  
+  // A lookup that falls back to the expired entry counts as stale rather than a miss
+  let result = 'miss';
+  try {
+    return await fetchLotteryData(lotteryType);
+  } catch (error) {
+    if (!entry) {
+      if (overrideStore.list(lotteryType).length === 0) {
+        throw error;
+      }
+      logger.warn('Serving the admin overrides alone, every source failed', { lottery: lotteryType });
+      return withDrawOverrides(lotteryType, createLotteryData(lotteryType));
+    }
+    result = 'stale';
+    logger.warn('Serving stale data, every source failed', { lottery: lotteryType, staleSince: new Date(entry.storedAt + entry.maxAge).toISOString() });
+    return withDrawOverrides(lotteryType, Object.assign({}, entry.value, {
+      stale: true,
+      staleSince: new Date(entry.storedAt + entry.maxAge).toISOString()
+    }));
+  } finally {
+    metrics.increment('lottery_cache_requests_total', { lottery: lotteryType, result });
+  }
+}
+
+// Scrape a game, or wait for the scrape already in progress for it so concurrent
+// requests share one upstream fetch
+function fetchLotteryData(lotteryType) {
+  if (inFlightFetches[lotteryType]) {
+    logger.debug('Waiting for the fetch already in progress', { lottery: lotteryType });
+    return inFlightFetches[lotteryType];
+  }
+  
+  const pending = scrapeLotteryData(lotteryType);
+  inFlightFetches[lotteryType] = pending;
+  const clear = () => {
+    delete inFlightFetches[lotteryType];
+  };
+  pending.then(clear, clear);
+  return pending;
+}
+
+// Scrape a game from its sources, validate and compare the results, then cache,
+// record and publish the chosen one
+async function scrapeLotteryData(lotteryType) {
+  // Try the game's sources in order until enough have succeeded to compare results
+  const results = [];
+  
+  for (const adapter of getSourcesForGame(lotteryType)) {
+    if (results.length >= CONSENSUS_SOURCES) {
+      break;
+    }
+    if (!sourceHealth.canAttempt(adapter.id)) {
+      logger.info('Skipping source, its circuit is open', { lottery: lotteryType, source: adapter.id });
+      continue;
+    }
+    
+    const url = adapter.resolveUrl(lotteryType);
+    const started = Date.now();
+    try {
+      logger.info('Fetching data', { lottery: lotteryType, source: adapter.id, url });
+      const html = await adapter.fetch(url);
+      const fetchedAt = new Date().toISOString();
+      const sourceData = await adapter.extract(html, lotteryType);
+      recordSource(sourceData, adapter.host, url, fetchedAt);
+      const invalid = validateLotteryData(lotteryType, sourceData);
+      if (invalid.length > 0) {
+        sourceHealth.recordRejection(adapter.id, Date.now() - started, invalid);
+        logger.warn('Result from source failed validation', { lottery: lotteryType, source: adapter.id, url, reasons: invalid });
+        continue;
+      }
+      sourceHealth.recordSuccess(adapter.id, Date.now() - started);
+      results.push(sourceData);
+      logger.info('Extracted data', { lottery: lotteryType, source: adapter.id, durationMs: Date.now() - started });
+    } catch (error) {
+      sourceHealth.recordFailure(adapter.id, Date.now() - started, error);
+      logger.error('Error fetching from source', { lottery: lotteryType, source: adapter.id, url, error });
+    }
+  }
+  
+  scrapeStatus[lotteryType] = scrapeStatus[lotteryType] || { lastSuccessAt: null, lastFailureAt: null };
+  if (results.length === 0) {
+    // Every source failed or was skipped
+    scrapeStatus[lotteryType].lastFailureAt = new Date().toISOString();
+    throw createApiError(503, 'Service Unavailable', 'Unable to fetch lottery data at this time. Please try again later.');
+  }
+  
+  // The first (preferred) source is published once the others have been compared with it
+  const lotteryData = results[0];
+  const sourceUsed = lotteryData.provenance.source;
+  applyConsensus(lotteryType, lotteryData, results.slice(1));
+  
+  // Admin overrides win over the sources; unpinned ones the sources have caught up with are retired
+  const superseded = applyDrawOverrides(lotteryData, overrideStore.list(lotteryType));
+  for (const override of superseded) {
+    overrideStore.remove(lotteryType, override.date);
+    auditLog.record({ actor: 'system', action: 'override_superseded', lottery: lotteryType, date: override.date, before: override, after: null, reason: 'The sources published this draw' });
+  }
+  
+  logger.info('Caching data', { lottery: lotteryType, source: sourceUsed });
+  const previousEntry = await cache.lookup(lotteryType);
+  const previousData = previousEntry ? previousEntry.value : null;
+  const hadHistory = historyStore.list(lotteryType).length > 0;
+  // Keep when this content was first seen while the result stays the same (for Last-Modified)
+  lotteryData.provenance.firstSeenAt = previousData && previousData.provenance.firstSeenAt &&
+    lotteryContentHash(previousData) === lotteryContentHash(lotteryData) ?
+    previousData.provenance.firstSeenAt :
+    lotteryData.provenance.fetchedAt;
+  cache.set(lotteryType, lotteryData);
+  scrapeStatus[lotteryType].lastSuccessAt = lotteryData.provenance.fetchedAt;
+  const latestDrawChange = recordDrawHistory(lotteryType, lotteryData, overrideStore.takeReleased(lotteryType));
+  publishLotteryChanges(lotteryType, previousData, lotteryData, hadHistory ? latestDrawChange : null);
+  return lotteryData;
+}
+
+// Background refresh scheduler. Each game is polled on its own timetable:
+// between draws it refreshes at a relaxed interval (and just after the next draw),
+// after a draw it polls aggressively until the new winning numbers appear, and
+// failed polls back off exponentially. Entries it fills stay cached until the
+// following poll so clients never wait on a scrape.
+const refreshScheduler = {
+  idleInterval: 30 * 60 * 1000, // Between draws
+  resultsInterval: 2 * 60 * 1000, // While waiting for a draw's results
+  resultsWindow: 12 * 60 * 60 * 1000, // Stop waiting for results this long after a draw
+  postDrawDelay: 5 * 60 * 1000, // First poll after the draw time
+  maxBackoff: 30 * 60 * 1000,
+  tickInterval: 15 * 1000,
+  games: {},
+  timer: null,
+  running: false,
+  
+  start: function() {
+    const now = Date.now();
+    // Stagger the first polls so the sources are not hit with every game at once
+    Object.keys(LOTTERY_GAMES).filter(isLotterySupported).forEach((lotteryType, index) => {
+      this.games[lotteryType] = {
+        state: 'starting',
+        lastPoll: null,
+        lastSuccess: null,
+        nextPoll: new Date(now + index * 5000).toISOString(),
+        consecutiveFailures: 0,
+        lastError: null
+      };
+    });
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.timer.unref();
+    this.tick();
+  },
+  
+  stop: function() {
+    clearInterval(this.timer);
+    this.timer = null;
+  },
+  
+  // Poll every game that is due, one at a time
+  tick: async function() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      for (const lotteryType of Object.keys(this.games)) {
+        if (new Date(this.games[lotteryType].nextPoll).getTime() <= Date.now()) {
+          await this.poll(lotteryType);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  },
+  
+  poll: async function(lotteryType) {
+    const state = this.games[lotteryType];
+    const now = Date.now();
+    state.lastPoll = new Date(now).toISOString();
+    
+    try {
+      const lotteryData = await getLotteryData(lotteryType, { forceRefresh: true });
+      state.consecutiveFailures = 0;
+      state.lastError = null;
+      state.lastSuccess = state.lastPoll;
+      
+      // Are the results of the most recent scheduled draw in yet?
+      const [lastDraw] = findDraws(lotteryType, new Date(now), 1, -1);
+      const fields = lotteryData.provenance.fields;
+      const hasLatestResults = !lastDraw || (
+        fields.winningNumbers.type === 'scraped' &&
+        fields.lastDrawDate.type === 'scraped' &&
+        lotteryData.lastDrawDate >= lastDraw.date
+      );
+      
+      let nextPoll;
+      if (!hasLatestResults && now - lastDraw.time.getTime() < this.resultsWindow) {
+        state.state = 'awaiting-results';
+        nextPoll = now + this.resultsInterval;
+      } else {
+        state.state = 'idle';
+        const [nextDraw] = findDraws(lotteryType, new Date(now), 1, 1);
+        nextPoll = now + this.idleInterval;
+        if (nextDraw) {
+          nextPoll = Math.min(nextPoll, nextDraw.time.getTime() + this.postDrawDelay);
+        }
+      }
+      state.nextPoll = new Date(nextPoll).toISOString();
+      
+      // Keep the entry cached until shortly after the next poll
+      cache.set(lotteryType, lotteryData, nextPoll - now + this.resultsInterval);
+    } catch (error) {
+      state.consecutiveFailures++;
+      state.lastError = error.message;
+      state.state = 'backing-off';
+      const backoff = Math.min(this.resultsInterval * Math.pow(2, state.consecutiveFailures - 1), this.maxBackoff);
+      state.nextPoll = new Date(now + backoff).toISOString();
+      logger.error('Scheduled refresh failed', { lottery: lotteryType, consecutiveFailures: state.consecutiveFailures, error });
+    }
+  },
+  
+  getStatus: function() {
+    return {
+      enabled: this.timer !== null,
+      games: this.games
+    };
+  }
+};
+
+// API keys, persisted as a JSON file. Only a hash of each key is stored; the
+// key itself is shown once, when it is issued. Revoked keys are kept so their
+// usage can still be looked up.
+const apiKeyStore = {
+  file: path.join(DATA_DIR, 'api-keys.json'),
+  keys: {},
+  byHash: {},
+  loaded: false,
+  writeQueue: Promise.resolve(),
+  persistTimer: null,
+  
+  load: function() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!fs.existsSync(this.file)) return;
+    try {
+      this.keys = JSON.parse(fs.readFileSync(this.file, 'utf8')).keys || {};
+    } catch (e) {
+      logger.error('Error reading API keys file', { file: this.file, error: e });
+    }
+    for (const record of Object.values(this.keys)) {
+      this.byHash[record.keyHash] = record;
+    }
+  },
+  
+  persist: function() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    const contents = JSON.stringify({ keys: this.keys }, null, 2);
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.mkdir(path.dirname(this.file), { recursive: true }))
+      .then(() => fs.promises.writeFile(this.file, contents))
+      .catch(err => logger.error('Error writing API keys file', { file: this.file, error: err }));
+    return this.writeQueue;
+  },
+  
+  // Usage counts change on every request, so they are written at most every few seconds
+  persistSoon: function() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.persist(), 5000);
+    this.persistTimer.unref();
+  },
+  
+  hash: function(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  },
+  
+  list: function() {
+    this.load();
+    return Object.values(this.keys);
+  },
+  
+  get: function(id) {
+    this.load();
+    return this.keys[id] || null;
+  },
+  
+  // The active key record for a presented key, or null for unknown and revoked keys
+  findByKey: function(key) {
+    this.load();
+    const record = this.byHash[this.hash(key)];
+    return record && !record.revokedAt ? record : null;
+  },
+  
+  // Issue a key, returns the stored record and the key
+  issue: function(fields) {
+    this.load();
+    const key = `lk_${crypto.randomBytes(24).toString('hex')}`;
+    const record = Object.assign({ id: crypto.randomBytes(8).toString('hex') }, fields, {
+      keyHash: this.hash(key),
+      keyPrefix: key.slice(0, 10),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      usage: { date: null, count: 0 }
+    });
+    this.keys[record.id] = record;
+    this.byHash[record.keyHash] = record;
+    this.persist();
+    return { record, key };
+  },
+  
+  revoke: function(id) {
+    this.load();
+    const record = this.keys[id];
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.persist();
+    }
+    return record;
+  }
+};
+
+// API key as shown by the API - neither the key nor its hash is returned
+function describeApiKey(record) {
+  const { keyHash, ...publicFields } = record;
+  return publicFields;
+}
+
+// Admin tokens, persisted as a JSON file. Each admin gets their own token and
+// the audit trail names the token's holder as the actor. Only a hash of each
+// token is stored; the token itself is shown once, when it is issued.
+const adminTokenStore = {
+  file: path.join(DATA_DIR, 'admin-tokens.json'),
+  tokens: {},
+  byHash: {},
+  loaded: false,
+  writeQueue: Promise.resolve(),
+  
+  load: function() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!fs.existsSync(this.file)) return;
+    try {
+      this.tokens = JSON.parse(fs.readFileSync(this.file, 'utf8')).tokens || {};
+    } catch (e) {
+      logger.error('Error reading admin tokens file', { file: this.file, error: e });
+    }
+    for (const record of Object.values(this.tokens)) {
+      this.byHash[record.tokenHash] = record;
+    }
+  },
+  
+  persist: function() {
+    const contents = JSON.stringify({ tokens: this.tokens }, null, 2);
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.mkdir(path.dirname(this.file), { recursive: true }))
+      .then(() => fs.promises.writeFile(this.file, contents))
+      .catch(err => logger.error('Error writing admin tokens file', { file: this.file, error: err }));
+    return this.writeQueue;
+  },
+  
+  hash: function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  },
+  
+  list: function() {
+    this.load();
+    return Object.values(this.tokens);
+  },
+  
+  // Tokens that have not been revoked
+  listActive: function() {
+    return this.list().filter(record => !record.revokedAt);
+  },
+  
+  get: function(id) {
+    this.load();
+    return this.tokens[id] || null;
+  },
+  
+  // The active token record for a presented token, or null for unknown and revoked tokens
+  findByToken: function(token) {
+    this.load();
+    const record = this.byHash[this.hash(token)];
+    return record && !record.revokedAt ? record : null;
+  },
+  
+  // Issue a token for an admin, returns the stored record and the token
+  issue: function(name, issuedBy) {
+    this.load();
+    const token = `at_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name,
+      tokenHash: this.hash(token),
+      tokenPrefix: token.slice(0, 10),
+      createdBy: issuedBy,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    this.tokens[record.id] = record;
+    this.byHash[record.tokenHash] = record;
+    this.persist();
+    return { record, token };
+  },
+  
+  revoke: function(id) {
+    this.load();
+    const record = this.tokens[id];
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.persist();
+    }
+    return record;
+  }
+};
+
+// Admin token as shown by the API - neither the token nor its hash is returned
+function describeAdminToken(record) {
+  const { tokenHash, ...publicFields } = record;
+  return publicFields;
+}
+
+// Token buckets keyed by client ("key:<id>" or "ip:<address>"). A bucket holds up
+// to `burst` tokens and refills at `requestsPerMinute`; each request takes one.
+const rateLimiter = {
+  buckets: new Map(),
+  maxBuckets: 10000,
+  
+  // Take a token, returns { allowed, remaining, retryAfter } with retryAfter in seconds
+  take: function(client, limits, now = Date.now()) {
+    const ratePerMs = limits.requestsPerMinute / 60000;
+    let bucket = this.buckets.get(client);
+    if (bucket) {
+      bucket.tokens = Math.min(limits.burst, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+    } else {
+      this.prune(now, ratePerMs, limits.burst);
+      bucket = { tokens: limits.burst };
+      this.buckets.set(client, bucket);
+    }
+    bucket.updatedAt = now;
+    
+    if (bucket.tokens < 1) {
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / ratePerMs / 1000) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+  },
+  
+  // Drop buckets that have refilled completely when there are too many; a full bucket
+  // behaves exactly like a missing one
+  prune: function(now, ratePerMs, burst) {
+    if (this.buckets.size < this.maxBuckets) return;
+    for (const [client, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * ratePerMs >= burst) {
+        this.buckets.delete(client);
+      }
+    }
+  }
+};
+
+// Daily request counts for anonymous callers by IP address. Key holders' counts
+// are kept on the key record so they survive a restart.
+const anonymousUsage = {
+  date: null,
+  counts: new Map()
+};
+
+// Count a request against the client's daily quota, returns { allowed, remaining, resetAt }.
+// Days run in UTC.
+function countDailyUsage(apiKey, ip, quota, now = new Date()) {
+  const today = now.toISOString().split('T')[0];
+  const resetAt = new Date(`${today}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000;
+  
+  let count;
+  if (apiKey) {
+    if (apiKey.usage.date !== today) {
+      apiKey.usage = { date: today, count: 0 };
+    }
+    count = apiKey.usage.count;
+  } else {
+    if (anonymousUsage.date !== today) {
+      anonymousUsage.date = today;
+      anonymousUsage.counts.clear();
+    }
+    count = anonymousUsage.counts.get(ip) || 0;
+  }
+  if (count >= quota) {
+    return { allowed: false, remaining: 0, resetAt };
+  }
+  
+  if (apiKey) {
+    apiKey.usage.count = count + 1;
+    apiKey.usage.lastUsedAt = now.toISOString();
+    apiKeyStore.persistSoon();
+  } else {
+    anonymousUsage.counts.set(ip, count + 1);
+  }
+  return { allowed: true, remaining: quota - count - 1, resetAt };
+}
+
+// The API key presented with a request, from the X-API-Key header or the api_key query parameter
+function getPresentedApiKey(req) {
+  return req.get('X-API-Key') || (typeof req.query.api_key === 'string' ? req.query.api_key : null);
+}
+
+// Limits that apply to a key, its own where set and the key defaults otherwise
+function getApiKeyLimits(apiKey) {
+  return {
+    requestsPerMinute: apiKey.requestsPerMinute || RATE_LIMITS.apiKey.requestsPerMinute,
+    burst: apiKey.burst || RATE_LIMITS.apiKey.burst,
+    dailyQuota: apiKey.dailyQuota || RATE_LIMITS.apiKey.dailyQuota
+  };
+}
+
+// CORS is decided per request: a key with an origin allowlist is only usable from
+// those origins, anything else may be called from any origin. Preflight requests
+// carry no key, so they are always answered.
+app.use(cors((req, callback) => {
+  const presentedKey = req.method === 'OPTIONS' ? null : getPresentedApiKey(req);
+  const apiKey = presentedKey ? apiKeyStore.findByKey(presentedKey) : null;
+  const allowedOrigins = apiKey && apiKey.allowedOrigins && apiKey.allowedOrigins.length > 0 ? apiKey.allowedOrigins : null;
+  callback(null, {
+    origin: allowedOrigins || '*',
+    allowedHeaders: ['Content-Type', 'X-API-Key', 'X-Subscription-Token', 'Authorization'],
+    exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Quota-Limit', 'X-Quota-Remaining', 'ETag', 'Link']
+  });
+}));
+
+// The admin endpoints and /metrics take an admin's own token, or the ADMIN_TOKEN,
+// as a bearer token. With neither configured they are off: the source address of a
+// request proves nothing behind a proxy, so local requests are refused too. The
+// audit trail records the holder of the token as the actor ("admin" for ADMIN_TOKEN).
+function authenticateAdmin(req, res, next) {
+  if (!ADMIN_TOKEN && adminTokenStore.listActive().length === 0) {
+    return res.status(403).json({ error: 'Forbidden', message: 'The admin API and metrics are disabled, set ADMIN_TOKEN to enable them.' });
+  }
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const presented = scheme === 'Bearer' && token ? token : null;
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  const record = presented ? adminTokenStore.findByToken(presented) : null;
+  const isBootstrap = Boolean(presented && ADMIN_TOKEN) && crypto.timingSafeEqual(digest(presented), digest(ADMIN_TOKEN));
+  if (!record && !isBootstrap) {
+    res.set('WWW-Authenticate', 'Bearer realm="lottery-api admin"');
+    return res.status(401).json({ error: 'Unauthorized', message: 'A valid admin token is required.' });
+  }
+  
+  req.adminUser = record ? record.name : 'admin';
+  next();
+}
+
+app.use('/api/admin', authenticateAdmin);
+
+// API key authentication, rate limiting and daily quotas for the public API.
+// The status endpoint is left open for health checks.
+app.use('/api', (req, res, next) => {
+  if (req.method === 'OPTIONS' || req.path.startsWith('/admin/') || req.path === '/status') {
+    return next();
+  }
+  
+  const presentedKey = getPresentedApiKey(req);
+  const apiKey = presentedKey ? apiKeyStore.findByKey(presentedKey) : null;
+  if (presentedKey && !apiKey) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'The API key is not valid or has been revoked.' });
+  }
+  if (!apiKey && REQUIRE_API_KEY) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'An API key is required, send it in the X-API-Key header.' });
+  }
+  
+  const origin = req.get('Origin');
+  if (apiKey && origin && apiKey.allowedOrigins && apiKey.allowedOrigins.length > 0 && !apiKey.allowedOrigins.includes(origin)) {
+    return res.status(403).json({ error: 'Forbidden', message: `This API key cannot be used from ${origin}.` });
+  }
+  
+  const limits = apiKey ? getApiKeyLimits(apiKey) : RATE_LIMITS.anonymous;
+  const bucket = rateLimiter.take(apiKey ? `key:${apiKey.id}` : `ip:${req.ip}`, limits);
+  res.set('X-RateLimit-Limit', String(limits.requestsPerMinute));
+  res.set('X-RateLimit-Remaining', String(bucket.remaining));
+  if (!bucket.allowed) {
+    res.set('Retry-After', String(bucket.retryAfter));
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      message: `Rate limit of ${limits.requestsPerMinute} requests per minute exceeded, retry in ${bucket.retryAfter}s.`
+    });
+  }
+  
+  const quota = countDailyUsage(apiKey, req.ip, limits.dailyQuota);
+  res.set('X-Quota-Limit', String(limits.dailyQuota));
+  res.set('X-Quota-Remaining', String(quota.remaining));
+  if (!quota.allowed) {
+    res.set('Retry-After', String(Math.ceil((quota.resetAt - Date.now()) / 1000)));
+    return res.status(429).json({
+      error: 'Quota Exceeded',
+      message: `Daily quota of ${limits.dailyQuota} requests used up, it resets at ${new Date(quota.resetAt).toISOString()}.`
+    });
+  }
+  
+  req.apiKey = apiKey;
+  next();
+});
+
+// Endpoint to get lottery details - now with fallback mechanism
+app.get('/api/lottery/:lotteryType', async (req, res) => {
+  try {
+    const { lotteryType } = req.params;
+    if (!isLotterySupported(lotteryType)) {
+      return sendLotteryNotSupported(res);
+    }
+    
+    const lotteryData = await getLotteryData(lotteryType);
+    
+    // In strict mode, refuse to serve placeholder data
+    const strictError = getStrictModeError(lotteryData, STRICT_MODE || req.query.strict === 'true');
+    if (strictError) {
+      return res.status(502).json(strictError);
+    }
+    countSyntheticResponse(lotteryType, lotteryData);
+    
+    // Cacheable until the cached entry expires or the next draw, whichever is first;
+    // stale data must always be revalidated
+    const untilNextDraw = timeUntilNextDraw(lotteryType);
+    setCacheHeaders(res, {
+      etag: lotteryContentHash(lotteryData),
+      lastModified: lotteryData.provenance.firstSeenAt,
+      maxAge: lotteryData.stale ? 0 : Math.min(cache.remainingLifetime(lotteryType), untilNextDraw === null ? Infinity : untilNextDraw)
+    });
+    return res.json(lotteryData);
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Fields a strict response must hold real values for: the draw itself
+const STRICT_REQUIRED_FIELDS = ['lastDrawDate', 'winningNumbers', 'bonusNumbers'];
+
+// The 502 response body for data containing placeholder fields, or missing one of
+// the required fields, when strict mode is on, otherwise null
+function getStrictModeError(lotteryData, strict) {
+  if (!strict) {
+    return null;
+  }
+  const fields = getSyntheticFields(lotteryData);
+  for (const field of STRICT_REQUIRED_FIELDS) {
+    const info = lotteryData.provenance.fields[field];
+    if (info.type === 'missing') {
+      fields[field] = info.reason || 'Not found on the source page';
+    }
+  }
+  if (Object.keys(fields).length === 0) {
+    return null;
+  }
+  return {
+    error: 'Bad Gateway',
+    message: 'The source did not provide complete results and strict mode does not allow placeholder or missing data.',
+    source: lotteryData.provenance.source,
+    fields
+  };
+}
+
+// Count a response that serves placeholder data, so its use shows up in the metrics
+function countSyntheticResponse(lotteryType, lotteryData) {
+  if (Object.keys(getSyntheticFields(lotteryData)).length > 0) {
+    metrics.increment('lottery_synthetic_responses_total', { lottery: lotteryType });
+  }
+}
+
+// Run an async function over the items with at most `limit` calls in flight,
+// resolving to the results in item order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+// Get several lotteries in one request. Games are fetched concurrently (at most
+// BATCH_CONCURRENCY at once) and a game that fails is reported under `errors`
+// without failing the others.
+app.get('/api/results', async (req, res) => {
+  const requested = req.query.lotteries === 'all' ?
+    Object.keys(LOTTERY_GAMES).filter(isLotterySupported) :
+    Array.from(new Set(String(req.query.lotteries || '').split(',').map(type => type.trim()).filter(Boolean)));
+  if (requested.length === 0) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Give the lottery types to fetch as lotteries=sa_lotto,us_powerball or lotteries=all'
+    });
+  }
+  
+  const strict = STRICT_MODE || req.query.strict === 'true';
+  const results = {};
+  const errors = {};
+  await mapWithConcurrency(requested, BATCH_CONCURRENCY, async (lotteryType) => {
+    if (!isLotterySupported(lotteryType)) {
+      errors[lotteryType] = {
+        status: 404,
+        error: 'Lottery not supported',
+        message: 'This lottery type is not currently supported by our data sources.'
+      };
+      return;
+    }
+    try {
+      const lotteryData = await getLotteryData(lotteryType);
+      const strictError = getStrictModeError(lotteryData, strict);
+      if (strictError) {
+        errors[lotteryType] = Object.assign({ status: 502 }, strictError);
+      } else {
+        countSyntheticResponse(lotteryType, lotteryData);
+        results[lotteryType] = lotteryData;
+      }
+    } catch (error) {
+      const { status, body } = describeApiError(error);
+      errors[lotteryType] = Object.assign({ status }, body);
+    }
+  });
+  
+  // Keep the order the games were asked for
+  const ordered = (map) => requested.filter(type => map[type]).reduce((out, type) => {
+    out[type] = map[type];
+    return out;
+  }, {});
+  res.json({ results: ordered(results), errors: ordered(errors) });
+});
+
+// Validate a ticket against the game rules, returns a list of problems (empty when valid)
+function validateTicket(ticket, game) {
+  const errors = [];
+  const checkBalls = (balls, spec, label) => {
+    if (!Array.isArray(balls)) {
+      errors.push(`${label} must be an array of numbers`);
+      return;
+    }
+    if (balls.length !== spec.count) {
+      errors.push(`${label} must contain exactly ${spec.count} number(s)`);
+    }
+    if (balls.some(n => !Number.isInteger(n) || n < spec.min || n > spec.max)) {
+      errors.push(`${label} must be whole numbers between ${spec.min} and ${spec.max}`);
+    }
+    if (new Set(balls).size !== balls.length) {
+      errors.push(`${label} must not contain duplicates`);
+    }
+  };
+  
+  if (!ticket || typeof ticket !== 'object') {
+    return ['Ticket must be an object'];
+  }
+  
+  checkBalls(ticket.numbers, game.mainBalls, 'numbers');
+  
+  const bonusNumbers = getTicketBonusNumbers(ticket);
+  if (game.bonusBalls && !game.bonusBalls.fromMainPool) {
+    checkBalls(bonusNumbers, game.bonusBalls, 'bonusNumbers');
+  } else if (bonusNumbers.length > 0) {
+    errors.push(`This game has no separately chosen ${game.bonusBalls ? game.bonusBalls.label : 'bonus'} numbers`);
+  }
+  
+  if (ticket.drawDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(ticket.drawDate)) {
+    errors.push('drawDate must be a date in YYYY-MM-DD format');
+  }
+  
+  return errors;
+}
+
+// Bonus numbers chosen on a ticket, accepting either `bonusNumbers` or a single `powerball`
+function getTicketBonusNumbers(ticket) {
+  if (ticket.bonusNumbers !== undefined) {
+    return ticket.bonusNumbers;
+  }
+  return ticket.powerball !== undefined && ticket.powerball !== null ? [ticket.powerball] : [];
+}
+
+// Find the draw a ticket should be checked against: the latest draw, or the
+// historical draw on the ticket's drawDate from the history store or scraped results.
+// The latest draw's prizes are only used when its divisions and date were scraped
+// or entered by an admin; a placeholder date never matches a ticket's drawDate.
+function findDrawForTicket(lotteryType, lotteryData, drawDate) {
+  const fields = lotteryData.provenance.fields;
+  const dateKnown = isKnownField(fields.lastDrawDate);
+  if (!drawDate || (dateKnown && drawDate === lotteryData.lastDrawDate)) {
+    return {
+      date: dateKnown ? lotteryData.lastDrawDate : null,
+      numbers: isKnownField(fields.winningNumbers) ? lotteryData.winningNumbers : [],
+      bonusNumbers: lotteryData.bonusNumbers,
+      // Never quote a placeholder prize table as a ticket's winnings
+      divisions: dateKnown && isKnownField(fields.divisions) ? lotteryData.divisions : []
+    };
+  }
+  const storedDraw = historyStore.list(lotteryType, drawDate, drawDate)[0];
+  if (storedDraw) {
+    return storedDraw;
+  }
+  const draw = lotteryData.historicalResults.find(result => result.date === drawDate);
+  return draw ? Object.assign({ divisions: draw.divisions || [] }, draw) : null;
+}
+
+// Score a ticket against a draw and work out the winning division.
+// When the bonus ball is drawn from the main pool (e.g. SA Lotto "5 correct + bonus")
+// it counts as matched if it is one of the player's numbers; otherwise the player's
+// separately chosen bonus numbers are compared (e.g. "5 + Mega Ball").
+// `prize` is null when the draw's prize divisions are not known.
+function scoreTicket(ticket, draw, game) {
+  const matchedNumbers = ticket.numbers.filter(n => draw.numbers.includes(n));
+  const drawBonusNumbers = draw.bonusNumbers || [];
+  let matchedBonusNumbers = [];
+  
+  if (game.bonusBalls && game.bonusBalls.fromMainPool) {
+    matchedBonusNumbers = ticket.numbers.filter(n => drawBonusNumbers.includes(n));
+  } else if (game.bonusBalls) {
+    matchedBonusNumbers = getTicketBonusNumbers(ticket).filter(n => drawBonusNumbers.includes(n));
+  }
+  
+  const tierIndex = game.prizeTiers.findIndex(tier => {
+    const mainCounts = Array.isArray(tier.main) ? tier.main : [tier.main];
+    return mainCounts.includes(matchedNumbers.length) && matchedBonusNumbers.length >= (tier.bonus || 0);
+  });
+  
+  // Draws stored before divisions were numbered by tier list them in division order
+  const division = tierIndex < 0 ? null :
+    draw.divisions.find(known => known.tier === tierIndex + 1) ||
+    (draw.divisions[tierIndex] && draw.divisions[tierIndex].tier === undefined ? draw.divisions[tierIndex] : null);
+  
+  return {
+    drawDate: draw.date,
+    winningNumbers: draw.numbers,
+    winningBonusNumbers: drawBonusNumbers,
+    matchedNumbers,
+    matchedBonusNumbers,
+    isWinner: tierIndex >= 0,
+    division: tierIndex >= 0 ? (division ? division.division : `Division ${tierIndex + 1}`) : null,
+    prize: division ? division.prize : null
+  };
+}
+
+// Check one or more tickets against a draw
+app.post('/api/lottery/:lotteryType/check', async (req, res) => {
+  try {
+    const { lotteryType } = req.params;
+    if (!isLotterySupported(lotteryType)) {
+      return sendLotteryNotSupported(res);
+    }
+    const game = getGame(lotteryType);
+    
+    // Accept either { tickets: [...] } or a single ticket as the body
+    const body = req.body || {};
+    const tickets = Array.isArray(body.tickets) ? body.tickets : [body];
+    if (tickets.length === 0 || tickets.length > 100) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Provide between 1 and 100 tickets.'
+      });
+    }
+    
+    const invalidTickets = tickets
+      .map((ticket, index) => {
+        const drawDate = ticket && typeof ticket.drawDate === 'string' ? ticket.drawDate : null;
+        return { ticket: index, errors: validateTicket(ticket, getGameRulesOn(lotteryType, drawDate)) };
+      })
+      .filter(result => result.errors.length > 0);
+    if (invalidTickets.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'One or more tickets are not valid for this lottery.',
+        details: invalidTickets
+      });
+    }
+    
+    const lotteryData = await getLotteryData(lotteryType);
+    const results = tickets.map((ticket, index) => {
+      const draw = findDrawForTicket(lotteryType, lotteryData, ticket.drawDate);
+      if (!draw) {
+        return { ticket: index, drawDate: ticket.drawDate, error: 'No results found for this draw date' };
+      }
+      if (draw.numbers.length === 0) {
+        return { ticket: index, drawDate: draw.date, error: 'Winning numbers for this draw are not available yet' };
+      }
+      return Object.assign({ ticket: index }, scoreTicket(ticket, draw, game));
+    });
+    
+    res.json({ lottery: lotteryType, results });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// A game's stored draws, newest first, between the from and to query parameters.
+// The store is seeded from the sources the first time a game's history is asked
+// for. Throws an API error for invalid dates.
+async function loadHistoryRange(req, lotteryType) {
+  const { from, to } = req.query;
+  const isDate = (value) => value === undefined || /^\d{4}-\d{2}-\d{2}$/.test(value);
+  if (!isDate(from) || !isDate(to)) {
+    throw createApiError(400, 'Bad Request', 'from and to must be dates in YYYY-MM-DD format.');
+  }
+  if (historyStore.list(lotteryType).length === 0) {
+    await getLotteryData(lotteryType).catch(() => null);
+  }
+  return historyStore.list(lotteryType, from, to);
+}
+
+// One page of a game's stored draw history, newest first, from the from, to,
+// limit and cursor query parameters. Throws an API error for invalid parameters.
+async function loadHistoryPage(req, lotteryType, defaultLimit = 50) {
+  const { cursor } = req.query;
+  const limit = req.query.limit === undefined ? defaultLimit : parseInt(req.query.limit, 10);
+  if (isNaN(limit) || limit < 1 || limit > 500) {
+    throw createApiError(400, 'Bad Request', 'limit must be a number between 1 and 500.');
+  }
+  
+  // The cursor is the date of the last draw on the previous page
+  let before = null;
+  if (cursor !== undefined) {
+    before = Buffer.from(String(cursor), 'base64').toString('utf8');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(before)) {
+      throw createApiError(400, 'Bad Request', 'cursor is not valid.');
+    }
+  }
+  
+  const draws = (await loadHistoryRange(req, lotteryType)).filter(draw => !before || draw.date < before);
+  const page = draws.slice(0, limit);
+  const hasMore = draws.length > limit;
+  return {
+    draws: page,
+    nextCursor: hasMore ? Buffer.from(page[page.length - 1].date).toString('base64') : null
+  };
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// An amount in minor units as a decimal in major units, e.g. 31254020 -> "312540.20"
+function formatMinorUnits(amount) {
+  return typeof amount === 'number' ? (amount / 100).toFixed(2) : '';
+}
+
+// The CSV header line of a game's draw history
+function formatHistoryCsvHeader(game) {
+  const header = ['date', 'draw_number', 'numbers', 'bonus_numbers', 'jackpot', 'jackpot_currency', 'rollover'];
+  game.prizeTiers.forEach((tier, index) => {
+    header.push(`division_${index + 1}_winners`, `division_${index + 1}_prize`);
+  });
+  return header.map(csvField).join(',') + '\r\n';
+}
+
+// One draw as a CSV line, with the winners and prize of every division of the game
+function formatHistoryCsvRow(draw, game) {
+  const row = [
+    draw.date,
+    draw.drawNumber,
+    draw.numbers.join(' '),
+    (draw.bonusNumbers || []).join(' '),
+    draw.jackpot ? formatMinorUnits(draw.jackpot.amount) : '',
+    draw.jackpot ? draw.jackpot.currency : '',
+    draw.rollover === undefined || draw.rollover === null ? '' : draw.rollover
+  ];
+  game.prizeTiers.forEach((tier, index) => {
+    const division = (draw.divisions || []).find(known => known.tier === index + 1);
+    row.push(division ? division.winners : '', division && division.prize ? formatMinorUnits(division.prize.amount) : '');
+  });
+  return row.map(csvField).join(',') + '\r\n';
+}
+
+// Draw history as CSV, one row per draw with the winners and prize of every
+// division of the game
+function formatHistoryCsv(lotteryType, draws) {
+  const game = getGame(lotteryType);
+  return formatHistoryCsvHeader(game) + draws.map(draw => formatHistoryCsvRow(draw, game)).join('');
+}
+
+// Escape text for XML element content and attribute values
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' })[char]);
+}
+
+// Draw results as an RSS 2.0 or Atom feed, one item per draw, newest first
+function formatResultsFeed(lotteryType, draws, baseUrl, format) {
+  const game = getGame(lotteryType);
+  const feedUrl = `${baseUrl}/api/lottery/${lotteryType}/feed.xml${format === 'atom' ? '?format=atom' : ''}`;
+  const updated = draws.length > 0 ? draws.map(draw => draw.updatedAt || draw.recordedAt).filter(Boolean).sort().pop() : null;
+  const items = draws.map(draw => {
+    const drawTime = getScheduledDrawTime(lotteryType, draw.date) || new Date(`${draw.date}T12:00:00Z`);
+    const bonus = (draw.bonusNumbers || []).length > 0 ? ` + ${draw.bonusNumbers.join(' ')}` : '';
+    const topDivision = (draw.divisions || []).find(division => division.tier === 1);
+    const details = [`Winning numbers: ${draw.numbers.join(' ')}${bonus}`];
+    if (draw.drawNumber) details.push(`Draw number: ${draw.drawNumber}`);
+    if (topDivision) details.push(`Division 1 winners: ${topDivision.winners}${draw.rollover ? ' (jackpot rolls over)' : ''}`);
+    return {
+      id: `${baseUrl}/api/lottery/${lotteryType}/draws/${draw.date}`,
+      title: `${game.name} results for ${draw.date}: ${draw.numbers.join(' ')}${bonus}`,
+      time: drawTime,
+      summary: details.join('. ')
+    };
+  });
+  
+  if (format === 'atom') {
+    return '<?xml version="1.0" encoding="utf-8"?>\n' +
+      '<feed xmlns="http://www.w3.org/2005/Atom">\n' +
+      `  <title>${escapeXml(game.name)} results</title>\n` +
+      `  <id>${escapeXml(feedUrl)}</id>\n` +
+      `  <link rel="self" href="${escapeXml(feedUrl)}"/>\n` +
+      `  <updated>${new Date(updated || SERVER_STARTED_AT).toISOString()}</updated>\n` +
+      items.map(item => '  <entry>\n' +
+        `    <title>${escapeXml(item.title)}</title>\n` +
+        `    <id>${escapeXml(item.id)}</id>\n` +
+        `    <link href="${escapeXml(item.id)}"/>\n` +
+        `    <updated>${item.time.toISOString()}</updated>\n` +
+        `    <summary>${escapeXml(item.summary)}</summary>\n` +
+        '  </entry>\n').join('') +
+      '</feed>\n';
+  }
+  
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">\n' +
+    '  <channel>\n' +
+    `    <title>${escapeXml(game.name)} results</title>\n` +
+    `    <link>${escapeXml(`${baseUrl}/api/lottery/${lotteryType}`)}</link>\n` +
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feedUrl)}"/>\n` +
+    `    <description>Winning numbers for every ${escapeXml(game.name)} draw</description>\n` +
+    (updated ? `    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>\n` : '') +
+    items.map(item => '    <item>\n' +
+      `      <title>${escapeXml(item.title)}</title>\n` +
+      `      <link>${escapeXml(item.id)}</link>\n` +
+      `      <guid isPermaLink="true">${escapeXml(item.id)}</guid>\n` +
+      `      <pubDate>${item.time.toUTCString()}</pubDate>\n` +
+      `      <description>${escapeXml(item.summary)}</description>\n` +
+      '    </item>\n').join('') +
+    '  </channel>\n' +
+    '</rss>\n';
+}
+
+// Media types the history can be served as, by format name
+const HISTORY_FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  rss: 'application/rss+xml',
+  atom: 'application/atom+xml'
+};
+
+// Respond with a page of draw history as JSON, CSV or an RSS/Atom feed
+async function sendHistory(req, res, lotteryType, format) {
+  try {
+    if (!isLotterySupported(lotteryType)) {
+      return sendLotteryNotSupported(res);
+    }
+    if (!format) {
+      throw createApiError(406, 'Not Acceptable', `History is available as ${Object.values(HISTORY_FORMATS).join(', ')}.`);
+    }
+    
+    const isFeed = format === 'rss' || format === 'atom';
+    const history = await loadHistoryPage(req, lotteryType, isFeed ? 20 : 50);
+    let body;
+    if (format === 'csv') {
+      body = formatHistoryCsv(lotteryType, history.draws);
+    } else if (isFeed) {
+      body = formatResultsFeed(lotteryType, history.draws, `${req.protocol}://${req.get('host')}`, format);
+    } else {
+      body = JSON.stringify({ lottery: lotteryType, draws: history.draws, nextCursor: history.nextCursor });
+    }
+    
+    if (history.nextCursor && !isFeed) {
+      const query = Object.assign({}, req.query, { cursor: history.nextCursor });
+      const nextUrl = `${req.baseUrl}${req.path}?${new URLSearchParams(query)}`;
+      res.set('Link', `<${nextUrl}>; rel="next"`);
+    }
+    // Stored draws only change when a refresh adds one or fills in its prizes
+    const untilNextDraw = timeUntilNextDraw(lotteryType);
+    setCacheHeaders(res, {
+      etag: contentHash(body),
+      lastModified: history.draws.map(draw => draw.updatedAt || draw.recordedAt).filter(Boolean).sort().pop(),
+      maxAge: Math.min(cache.ttlFor(lotteryType), untilNextDraw === null ? Infinity : untilNextDraw)
+    });
+    res.vary('Accept');
+    res.type(HISTORY_FORMATS[format]).send(body);
+  } catch (error) {
+    sendApiError(res, error);
+  }
+}
+
+// The chunks of a history download, a batch of draws at a time: CSV, or JSON
+// shaped like a history page holding every draw
+function* historyDownloadChunks(lotteryType, draws, format) {
+  const game = getGame(lotteryType);
+  const batchSize = 100;
+  yield format === 'csv' ? formatHistoryCsvHeader(game) : `{"lottery":${JSON.stringify(lotteryType)},"draws":[`;
+  for (let start = 0; start < draws.length; start += batchSize) {
+    const batch = draws.slice(start, start + batchSize);
+    yield format === 'csv' ?
+      batch.map(draw => formatHistoryCsvRow(draw, game)).join('') :
+      (start > 0 ? ',' : '') + batch.map(draw => JSON.stringify(draw)).join(',');
+  }
+  if (format === 'json') {
+    yield '],"nextCursor":null}';
+  }
+}
+
+// Download every stored draw of a game between the from and to query parameters
+// as CSV or JSON. Unlike the paged history there is no limit, so the body is
+// streamed in batches (and the ETag hashed draw by draw) instead of built whole.
+async function sendHistoryDownload(req, res, lotteryType, format) {
+  try {
+    if (!isLotterySupported(lotteryType)) {
+      return sendLotteryNotSupported(res);
+    }
+    const draws = await loadHistoryRange(req, lotteryType);
+    
+    const hash = crypto.createHash('sha1').update(format);
+    draws.forEach(draw => hash.update(JSON.stringify(draw)));
+    const untilNextDraw = timeUntilNextDraw(lotteryType);
+    setCacheHeaders(res, {
+      etag: hash.digest('base64').replace(/=+$/, ''),
+      lastModified: draws.map(draw => draw.updatedAt || draw.recordedAt).filter(Boolean).sort().pop(),
+      maxAge: Math.min(cache.ttlFor(lotteryType), untilNextDraw === null ? Infinity : untilNextDraw)
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.attachment(`${lotteryType}-history.${format}`);
+    res.type(HISTORY_FORMATS[format]);
+    pipeline(Readable.from(historyDownloadChunks(lotteryType, draws, format)), res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.error('Error streaming a history download', { lottery: lotteryType, error });
+      }
+    });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+}
+
+// The history format asked for in the Accept header, or null if none is available
+function acceptedHistoryFormat(req) {
+  const mediaType = req.accepts(Object.values(HISTORY_FORMATS));
+  return Object.keys(HISTORY_FORMATS).find(format => HISTORY_FORMATS[format] === mediaType) || null;
+}
+
+// Paginated draw history served from the persistent history store, in the
+// format given by the Accept header (JSON unless another is preferred)
+app.get('/api/lottery/:lotteryType/history', (req, res) => {
+  sendHistory(req, res, req.params.lotteryType, acceptedHistoryFormat(req));
+});
+
+// Draw history downloads
+app.get('/api/lottery/:lotteryType/history.csv', (req, res) => {
+  sendHistoryDownload(req, res, req.params.lotteryType, 'csv');
+});
+
+app.get('/api/lottery/:lotteryType/history.json', (req, res) => {
+  sendHistoryDownload(req, res, req.params.lotteryType, 'json');
+});
+
+// Results feed, RSS unless ?format=atom or the Accept header prefers Atom
+app.get('/api/lottery/:lotteryType/feed.xml', (req, res) => {
+  const prefersAtom = req.query.format === 'atom' ||
+    (req.query.format === undefined && req.accepts([HISTORY_FORMATS.rss, HISTORY_FORMATS.atom]) === HISTORY_FORMATS.atom);
+  sendHistory(req, res, req.params.lotteryType, prefersAtom ? 'atom' : 'rss');
+});
+
+// Respond with one draw of a game, looked up by its date (YYYY-MM-DD) or the
+// operator's draw number, with links to the scheduled draws either side of it.
+// A 404 says why the draw is missing: no draw was scheduled that day, its
+// results are not available yet, or it is older than the results on record.
+async function sendDraw(req, res, lotteryType, drawId) {
+  try {
+    if (!isLotterySupported(lotteryType)) {
+      return sendLotteryNotSupported(res);
+    }
+    
+    const byDate = /^\d{4}-\d{2}-\d{2}$/.test(drawId);
+    if (byDate ? parseDrawDate(drawId) !== drawId : !/^\d+$/.test(drawId)) {
+      throw createApiError(400, 'Bad Request', 'The draw must be a date in YYYY-MM-DD format or an official draw number.');
+    }
+    
+    const game = getGame(lotteryType);
+    const lotteryData = await getLotteryData(lotteryType).catch(() => null);
+    const draws = getKnownDraws(lotteryType, lotteryData);
+    const draw = byDate ?
+      draws.find(known => known.date === drawId) :
+      draws.find(known => known.drawNumber === Number(drawId));
+    
+    if (!draw) {
+      if (!byDate) {
+        throw createApiError(404, 'Not Found', `No ${game.name} draw number ${drawId} is on record.`, { reason: 'not_found' });
+      }
+      const scheduledAt = getScheduledDrawTime(lotteryType, drawId);
+      if (!scheduledAt) {
+        throw createApiError(404, 'Not Found', `No ${game.name} draw is scheduled on ${drawId}.`, { reason: 'no_draw_scheduled' });
+      }
+      if (scheduledAt > new Date() || draws.length === 0 || drawId > draws[0].date) {
+        throw createApiError(404, 'Not Found', scheduledAt > new Date() ?
+          `The ${game.name} draw on ${drawId} has not taken place yet.` :
+          `Results for the ${game.name} draw on ${drawId} are not available yet.`,
+        { reason: 'not_yet_available', scheduledAt: scheduledAt.toISOString() });
+      }
+      throw createApiError(404, 'Not Found', `The ${game.name} draw on ${drawId} is older than the results on record.`, { reason: 'not_found' });
+    }
+    
+    // Links follow the draw schedule, and stop at the latest draw that has taken place
+    const drawTime = getScheduledDrawTime(lotteryType, draw.date) || new Date(`${draw.date}T12:00:00Z`);
+    const [previousDraw] = findDraws(lotteryType, new Date(drawTime.getTime() - 1), 1, -1);
+    const [nextDraw] = findDraws(lotteryType, drawTime, 1, 1);
+    const link = (scheduled) => `/api/lottery/${lotteryType}/draws/${scheduled.date}`;
+    
+    const body = {
+      lottery: lotteryType,
+      name: game.name,
+      date: draw.date,
+      drawNumber: draw.drawNumber || null,
+      drawTime: drawTime.toISOString(),
+      numbers: draw.numbers,
+      bonusNumbers: draw.bonusNumbers || [],
+      bonusLabel: game.bonusBalls ? game.bonusBalls.label : null,
+      divisions: draw.divisions || [],
+      rollover: draw.rollover === undefined ? null : draw.rollover,
+      jackpot: draw.jackpot || null,
+      source: draw.source || null,
+      links: {
+        self: `/api/lottery/${lotteryType}/draws/${draw.date}`,
+        previous: previousDraw ? link(previousDraw) : null,
+        next: nextDraw && nextDraw.time <= new Date() ? link(nextDraw) : null
+      }
+    };
+    setCacheHeaders(res, {
+      etag: contentHash(body),
+      lastModified: draw.updatedAt || draw.recordedAt,
+      maxAge: cache.ttlFor(lotteryType)
+    });
+    res.json(body);
+  } catch (error) {
+    sendApiError(res, error);
+  }
+}
+
+// Get one draw by date or official draw number
+app.get('/api/lottery/:lotteryType/draws/:drawId', (req, res) => {
+  sendDraw(req, res, req.params.lotteryType, req.params.drawId);
+});
+
+// Get one draw by date, e.g. /draws?date=2024-10-12
+app.get('/api/lottery/:lotteryType/draws', (req, res) => {
+  if (req.query.date === undefined) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'date is required, e.g. ?date=2024-10-12'
+    });
+  }
+  sendDraw(req, res, req.params.lotteryType, String(req.query.date));
+});
+
+// Real past draws for a game, newest first: the history store merged with any
+// scraped results it does not have yet. Synthetic results are never included.
+function getKnownDraws(lotteryType, lotteryData, from, to) {
+  const draws = {};
+  if (lotteryData && lotteryData.provenance.fields.historicalResults.type === 'scraped') {
+    for (const result of lotteryData.historicalResults) {
+      if ((!from || result.date >= from) && (!to || result.date <= to)) {
+        draws[result.date] = result;
+      }
+    }
+  }
+  for (const record of historyStore.list(lotteryType, from, to)) {
+    draws[record.date] = record;
+  }
+  return Object.values(draws).sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+}
+
+// Count how often each k-sized combination of numbers was drawn together, most common first
+function countCombinations(drawsNumbers, size, top = 10) {
+  const counts = {};
+  const addCombinations = (numbers, start, combo) => {
+    if (combo.length === size) {
+      const key = combo.join('-');
+      counts[key] = (counts[key] || 0) + 1;
+      return;
+    }
+    for (let i = start; i < numbers.length; i++) {
+      addCombinations(numbers, i + 1, combo.concat(numbers[i]));
+    }
+  };
+  
+  for (const numbers of drawsNumbers) {
+    addCombinations(numbers.slice().sort((a, b) => a - b), 0, []);
+  }
+  
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, top)
+    .map(([key, count]) => ({ numbers: key.split('-').map(Number), count }));
+}
+
+// Frequency, hot/cold and overdue statistics for one ball set, draws newest first
+function computeBallStats(drawsNumbers, spec, window) {
+  const frequency = {};
+  const recentFrequency = {};
+  const drawsSinceLastSeen = {};
+  for (let n = spec.min; n <= spec.max; n++) {
+    frequency[n] = 0;
+    recentFrequency[n] = 0;
+    drawsSinceLastSeen[n] = null; // Never seen in the analysed draws
+  }
+  
+  drawsNumbers.forEach((numbers, index) => {
+    for (const n of numbers) {
+      if (frequency[n] === undefined) continue; // Ignore out of range numbers
+      frequency[n]++;
+      if (index < window) {
+        recentFrequency[n]++;
+      }
+      if (drawsSinceLastSeen[n] === null) {
+        drawsSinceLastSeen[n] = index;
+      }
+    }
+  });
+  
+  const setSize = Math.min(spec.count, spec.max - spec.min + 1);
+  const byRecentFrequency = Object.keys(recentFrequency).map(Number)
+    .sort((a, b) => recentFrequency[b] - recentFrequency[a] || a - b);
+  const byOverdue = Object.keys(drawsSinceLastSeen).map(Number)
+    .sort((a, b) => {
+      const ageA = drawsSinceLastSeen[a] === null ? Infinity : drawsSinceLastSeen[a];
+      const ageB = drawsSinceLastSeen[b] === null ? Infinity : drawsSinceLastSeen[b];
+      return ageB - ageA || a - b;
+    });
+  
+  return {
+    frequency,
+    hot: byRecentFrequency.slice(0, setSize),
+    cold: byRecentFrequency.slice(-setSize).reverse(),
+    drawsSinceLastSeen,
+    overdue: byOverdue.slice(0, setSize)
+  };
+}
+
+// Full number statistics for a game's draws (newest first)
+function computeNumberStats(draws, game, window) {
+  const mainDraws = draws.map(draw => draw.numbers);
+  const main = computeBallStats(mainDraws, game.mainBalls, window);
+  
+  // Pair and triple analysis
+  main.pairs = countCombinations(mainDraws, 2);
+  main.triples = countCombinations(mainDraws, 3);
+  
+  // Odd/even and high/low distributions, keyed by how many odd or high numbers were drawn
+  const midpoint = (game.mainBalls.min + game.mainBalls.max) / 2;
+  main.oddCounts = {};
+  main.highCounts = {};
+  for (let k = 0; k <= game.mainBalls.count; k++) {
+    main.oddCounts[k] = 0;
+    main.highCounts[k] = 0;
+  }
+  
+  // Sum ranges split into ten buckets between the lowest and highest possible sums
+  const count = game.mainBalls.count;
+  const minSum = count * game.mainBalls.min + (count * (count - 1)) / 2;
+  const maxSum = count * game.mainBalls.max - (count * (count - 1)) / 2;
+  const bucketSize = Math.ceil((maxSum - minSum + 1) / 10);
+  main.sums = [];
+  for (let start = minSum; start <= maxSum; start += bucketSize) {
+    main.sums.push({ min: start, max: Math.min(start + bucketSize - 1, maxSum), count: 0 });
+  }
+  
+  for (const numbers of mainDraws) {
+    main.oddCounts[numbers.filter(n => n % 2 === 1).length]++;
+    main.highCounts[numbers.filter(n => n > midpoint).length]++;
+    const sum = numbers.reduce((total, n) => total + n, 0);
+    const bucket = main.sums[Math.floor((sum - minSum) / bucketSize)];
+    if (bucket) {
+      bucket.count++;
+    }
+  }
+  
+  // Bonus balls are counted separately from the main numbers
+  const bonus = game.bonusBalls ?
+    computeBallStats(draws.map(draw => draw.bonusNumbers || (draw.powerball ? [draw.powerball] : [])), game.bonusBalls, window) :
+    null;
+  
+  return { main, bonus };
+}
+
+// Number statistics computed from stored and scraped draw history
+app.get('/api/lottery/:lotteryType/stats', async (req, res) => {
+  try {
+    const { lotteryType } = req.params;
+    if (!isLotterySupported(lotteryType)) {
+      return sendLotteryNotSupported(res);
+    }
+    const game = getGame(lotteryType);
+    
+    const { from, to } = req.query;
+    const window = req.query.window === undefined ? 20 : parseInt(req.query.window, 10);
+    const isDate = (value) => value === undefined || /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (!isDate(from) || !isDate(to)) {
+      throw createApiError(400, 'Bad Request', 'from and to must be dates in YYYY-MM-DD format.');
+    }
+    if (isNaN(window) || window < 1) {
+      throw createApiError(400, 'Bad Request', 'window must be a positive number.');
+    }
+    
+    // Scraped data tops up the store; the stats still work from the store alone when sources are down
+    const lotteryData = await getLotteryData(lotteryType).catch(() => null);
+    const draws = getKnownDraws(lotteryType, lotteryData, from, to);
+    if (draws.length === 0) {
+      throw createApiError(404, 'Not Found', 'No draw history is available for this lottery and date range.');
+    }
+    
+    res.json(Object.assign({
+      lottery: lotteryType,
+      drawCount: draws.length,
+      from: draws[draws.length - 1].date,
+      to: draws[0].date,
+      window: Math.min(window, draws.length)
+    }, computeNumberStats(draws, game, window)));
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+// Fold an iCalendar content line at 75 octets, continuing with a leading space
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Escape text for an iCalendar TEXT value
+function escapeIcsText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/[;,]/g, char => `\\${char}`).replace(/\r?\n/g, '\\n');
+}
+
+// A UTC time in iCalendar form, e.g. 20241012T183000Z
+function formatIcsTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Upcoming draws as an iCalendar feed. Cancelled draws in the same period are
+// included with STATUS:CANCELLED so subscribed calendars drop them.
+function formatDrawCalendar(lotteryType, draws, cancelledDates, baseUrl) {
+  const host = new URL(baseUrl).hostname;
+  const game = getGame(lotteryType);
+  const now = formatIcsTime(new Date());
+  const event = (date, time, cancelled) => [
+    'BEGIN:VEVENT',
+    `UID:${lotteryType}-${date}@${host}`,
+    `DTSTAMP:${now}`,
+    `DTSTART:${formatIcsTime(time)}`,
+    'DURATION:PT30M',
+    `SUMMARY:${escapeIcsText(`${game.name} draw${cancelled ? ' (cancelled)' : ''}`)}`,
+    `DESCRIPTION:${escapeIcsText(`Results: ${baseUrl}/api/lottery/${lotteryType}/draws/${date}`)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+  
+  // Cancelled dates have no draw time in the calendar, so use the regular schedule's
+  const cancelledEvents = cancelledDates.map(date => {
+    const day = new Date(`${date}T00:00:00Z`);
+    const drawTime = (game.schedule.times && game.schedule.times[day.getUTCDay()]) || game.schedule.time;
+    const [hours, minutes] = drawTime.split(':').map(Number);
+    return event(date, zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hours, minutes, game.timezone), true);
+  });
+  
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${host}//Lottery draws//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(`${game.name} draws`)}`,
+    `X-WR-TIMEZONE:${game.timezone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:P1D',
+    'X-PUBLISHED-TTL:P1D'
+  ].concat(...draws.map(draw => event(draw.date, new Date(draw.utc), false)), ...cancelledEvents, ['END:VCALENDAR']);
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Respond with the upcoming draw schedule for a lottery as JSON or iCalendar
+function sendSchedule(req, res, format) {
+  const { lotteryType } = req.params;
+  const game = getGame(lotteryType);
+  if (!game) {
+    return sendLotteryNotSupported(res);
+  }
+  
+  const count = req.query.count === undefined ? (format === 'ics' ? 20 : 5) : parseInt(req.query.count, 10);
+  if (isNaN(count) || count < 1 || count > 100) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'count must be a number between 1 and 100.'
+    });
+  }
+  
+  const draws = getUpcomingDraws(lotteryType, count);
+  const calendar = DRAW_CALENDAR[lotteryType] || {};
+  const today = formatZonedTime(new Date(), game.timezone).split('T')[0];
+  const lastDate = draws.length > 0 ? draws[draws.length - 1].date : today;
+  const inRange = (date) => date >= today && date <= lastDate;
+  
+  const body = {
+    lottery: lotteryType,
+    timezone: game.timezone,
+    draws: draws,
+    cancelled: (calendar.cancelled || []).filter(inRange),
+    // Without listed exceptions, holiday cancellations and moved draws are not reflected
+    exceptionsListed: Boolean(DRAW_CALENDAR[lotteryType])
+  };
+  // The schedule moves on at each draw; the catalog itself only changes on restart
+  const [previousDraw] = findDraws(lotteryType, new Date(), 1, -1);
+  const untilNextDraw = timeUntilNextDraw(lotteryType);
+  setCacheHeaders(res, {
+    etag: contentHash({ format, body }),
+    lastModified: Math.max(SERVER_STARTED_AT, previousDraw ? previousDraw.time.getTime() : 0),
+    maxAge: Math.min(24 * 60 * 60 * 1000, untilNextDraw === null ? Infinity : untilNextDraw)
+  });
+  res.vary('Accept');
+  if (format === 'ics') {
+    return res.type('text/calendar').send(formatDrawCalendar(lotteryType, body.draws, body.cancelled, `${req.protocol}://${req.get('host')}`));
   }
+  res.json(body);
 }
 
-// Function to extract data from lotteryextreme.com
-async function extractFromLotteryExtreme(html, lotteryType) {
-  try {
-    // Similar structure to lottoland extraction but tailored for lotteryextreme
-    const lotteryData = {
-      name: lotteryType.replace(/_/g, ' ').toUpperCase(),
-      logo: lotteryType.replace(/_/g, ' ').toUpperCase(),
-      nextDraw: calculateNextDrawDate(lotteryType),
-      jackpot: "Calculating...",
-      lastDrawDate: new Date().toISOString().split('T')[0],
-      winningNumbers: [],
-      powerball: null,
-      hasPowerball: ['sa_powerball', 'sa_powerball_plus', 'us_powerball', 'us_megamillions', 'euro_jackpot', 'aus_powerball'].includes(lotteryType),
-      divisions: [],
-      historicalResults: []
-    };
-    
-    // Extract winning numbers (lotteryextreme format)
-    const numbersMatch = html.match(/latest\s+results|winning\s+numbers|latest\s+draw.*?<div[^>]*>(.*?)<\/div>/is);
-    if (numbersMatch) {
-      const numbersSection = numbersMatch[0];
-      const digitMatches = numbersSection.match(/\d+/g);
-      
-      if (digitMatches && digitMatches.length >= 5) {
-        let mainBallCount = 6;
-        if (lotteryType.includes('us_megamillions') || lotteryType.includes('us_powerball') || 
-            lotteryType.includes('sa_powerball') || lotteryType.includes('euro_jackpot')) {
-          mainBallCount = 5;
-        }
-        
-        lotteryData.winningNumbers = digitMatches.slice(0, mainBallCount).map(Number);
-        
-        if (lotteryData.hasPowerball && digitMatches.length > mainBallCount) {
-          lotteryData.powerball = Number(digitMatches[mainBallCount]);
-        }
+// Upcoming draw schedule for a lottery, as iCalendar when the Accept header asks for text/calendar
+app.get('/api/lottery/:lotteryType/schedule', (req, res) => {
+  if (!req.accepts(['json', 'text/calendar'])) {
+    return res.status(406).json({
+      error: 'Not Acceptable',
+      message: 'The schedule is available as application/json and text/calendar.'
+    });
+  }
+  sendSchedule(req, res, req.accepts(['json', 'text/calendar']) === 'text/calendar' ? 'ics' : 'json');
+});
+
+// Calendar of upcoming draws for calendar apps to subscribe to
+app.get('/api/lottery/:lotteryType/draws.ics', (req, res) => {
+  sendSchedule(req, res, 'ics');
+});
+
+// Live results stream over Server-Sent Events
+app.get('/api/stream', (req, res) => {
+  const requested = !req.query.lotteries || req.query.lotteries === 'all' ?
+    Object.keys(LOTTERY_GAMES).filter(isLotterySupported) :
+    String(req.query.lotteries).split(',').map(type => type.trim()).filter(Boolean);
+  const unsupported = requested.filter(type => !isLotterySupported(type));
+  if (requested.length === 0 || unsupported.length > 0) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Unsupported lottery types: ${unsupported.join(', ') || '(none given)'}`
+    });
+  }
+  const watched = new Set(requested);
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies such as nginx from buffering the stream
+  });
+  res.write('retry: 5000\n\n');
+  
+  const send = (event) => {
+    if (event.id) {
+      res.write(`id: ${event.id}\n`);
+    }
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  
+  // Resume from Last-Event-ID, or start with a snapshot of the cached data
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const missed = lastEventId ? streamBuffer.since(lastEventId) : null;
+  if (missed) {
+    missed.filter(event => watched.has(event.lottery)).forEach(send);
+  } else {
+    for (const lotteryType of watched) {
+      const cachedData = cache.peek(lotteryType);
+      if (cachedData) {
+        send({ type: 'snapshot', lottery: lotteryType, occurredAt: new Date().toISOString(), data: cachedData });
       }
     }
-    
-    // Extract jackpot (lotteryextreme format)
-    const jackpotMatch = html.match(/jackpot.*?([R$€£A][\d,.]+\s*[mM]illion|[R$€£A][\d,.]+)/i);
-    if (jackpotMatch && jackpotMatch[1]) {
-      lotteryData.jackpot = jackpotMatch[1];
-    } else {
-      lotteryData.jackpot = getDefaultJackpot(lotteryType);
+  }
+  
+  const onEvent = (event) => {
+    if (watched.has(event.lottery)) {
+      send(event);
     }
-    
-    // Extract last draw date (lotteryextreme format)
-    const dateMatch = html.match(/draw\s+date|drawn\s+on|latest\s+results.*?(\d{1,2}[\/\-\s\.]\d{1,2}[\/\-\s\.]\d{2,4}|\d{1,2}\s+[a-zA-Z]+\s+\d{4})/i);
-    if (dateMatch && dateMatch[1]) {
-      try {
-        const date = new Date(dateMatch[1]);
-        if (!isNaN(date.getTime())) {
-          lotteryData.lastDrawDate = date.toISOString().split('T')[0];
-        }
-      } catch (e) { /* Use default date if parsing fails */ }
-    }
-    
-    // Extract prize divisions (lotteryextreme format)
-    const prizeDivs = createDefaultDivisions(lotteryType);
-    lotteryData.divisions = prizeDivs;
-    
-    // Extract historical results (lotteryextreme format)
-    const histResults = [];
-    const rows = html.match(/<tr[^>]*>.*?<\/tr>/gs) || [];
-    
-    for (const row of rows) {
-      const dateMatch = row.match(/<td[^>]*>(.*?)<\/td>/);
-      if (dateMatch && dateMatch[1]) {
-        const dateText = dateMatch[1].replace(/<[^>]*>/g, '').trim();
-        
-        try {
-          // Skip header rows
-          if (dateText && !dateText.toLowerCase().includes('date')) {
-            const date = new Date(dateText);
-            const dateStr = !isNaN(date.getTime()) ? date.toISOString().split('T')[0] : null;
-            
-            if (dateStr) {
-              // Extract numbers
-              const nums = (row.match(/\d+/g) || []).map(Number);
-              
-              if (nums.length >= 5) {
-                let mainBallCount = 6;
-                if (lotteryType.includes('us_megamillions') || lotteryType.includes('us_powerball') || 
-                    lotteryType.includes('sa_powerball') || lotteryType.includes('euro_jackpot')) {
-                  mainBallCount = 5;
-                }
-                
-                const mainNumbers = nums.slice(0, mainBallCount);
-                const powerball = lotteryData.hasPowerball && nums.length > mainBallCount ? 
-                                 nums[mainBallCount] : null;
-                
-                histResults.push({
-                  date: dateStr,
-                  numbers: mainNumbers,
-                  powerball: powerball
-                });
-              }
-            }
-          }
-        } catch (e) { /* Skip entries that can't be parsed */ }
-      }
-    }
-    
-    lotteryData.historicalResults = histResults.length > 0 ? 
-      histResults.slice(0, 50) : // Store up to 50 results
-      generateHistoricalResults(lotteryType, 50); // Generate 50 realistic historical results
-    
-    return lotteryData;
-  } catch (error) {
-    console.error(`Error extracting data from LotteryExtreme for ${lotteryType}:`, error);
-    throw error;
+  };
+  lotteryEvents.on('stream', onEvent);
+  
+  // Heartbeats keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 20000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    lotteryEvents.removeListener('stream', onEvent);
+  });
+});
+
+// The subscription management token sent with a request (X-Subscription-Token)
+function getSubscriptionToken(req) {
+  return req.get('X-Subscription-Token') || null;
+}
+
+// Id of the API key a request was made with, which subscriptions are scoped to
+function getSubscriptionKeyId(req) {
+  return req.apiKey ? req.apiKey.id : null;
+}
+
+// The subscription named in the URL, when the request carries its management
+// token and the API key it was made with. Otherwise sends 401 (no token) or 404
+// (another client's subscription, which is not told apart from one that does not
+// exist) and returns null.
+function findManagedSubscription(req, res) {
+  const token = getSubscriptionToken(req);
+  if (!token) {
+    res.status(401).json({ error: 'Unauthorized', message: 'Send the subscription token in the X-Subscription-Token header.' });
+    return null;
   }
+  const subscription = subscriptionStore.get(req.params.id);
+  if (!subscription || subscription.tokenHash !== subscriptionStore.hash(token) ||
+      (subscription.apiKeyId || null) !== getSubscriptionKeyId(req)) {
+    res.status(404).json({ error: 'Not Found', message: 'Subscription not found.' });
+    return null;
+  }
+  return subscription;
 }
 
-// Calculate the next draw date based on the lottery schedule
-function calculateNextDrawDate(lotteryType) {
+// Register a webhook subscription. The response carries a management token for
+// reading and deleting it; send an existing token in X-Subscription-Token to
+// manage a new subscription together with the ones already made with it. A
+// subscription made with an API key can only be managed with that key.
+app.post('/api/subscriptions', async (req, res) => {
+  const { url, lotteries, events, jackpotThreshold } = req.body || {};
+  
+  let target = null;
   try {
-    const schedule = LOTTERY_SCHEDULES[lotteryType];
-    if (!schedule) {
-      // Default to 3 days from now if no schedule is found
-      const date = new Date();
-      date.setDate(date.getDate() + 3);
-      date.setHours(20, 0, 0, 0);
-      return date.toISOString();
-    }
-    
-    const now = new Date();
-    const days = schedule.days;
-    const [hours, minutes] = schedule.time.split(':').map(Number);
-    
-    // Find the next draw day
-    let nextDraw = new Date(now);
-    nextDraw.setHours(hours, minutes, 0, 0);
-    
-    // If today is a draw day but the draw time has passed, or today is not a draw day
-    if ((days.includes(now.getDay()) && now > nextDraw) || !days.includes(now.getDay())) {
-      // Find days until next draw
-      let daysUntilNextDraw = 7;
-      for (const drawDay of days) {
-        const diff = (drawDay - now.getDay() + 7) % 7;
-        if (diff > 0 && diff < daysUntilNextDraw) {
-          daysUntilNextDraw = diff;
-        }
-      }
-      
-      // If we couldn't find a future draw day, use the first draw day next week
-      if (daysUntilNextDraw === 7) {
-        daysUntilNextDraw = (days[0] - now.getDay() + 7) % 7;
-        if (daysUntilNextDraw === 0) daysUntilNextDraw = 7;
-      }
-      
-      nextDraw.setDate(nextDraw.getDate() + daysUntilNextDraw);
+    target = new URL(url);
+  } catch (e) { /* Reported below */ }
+  if (!target || !['http:', 'https:'].includes(target.protocol)) {
+    return res.status(400).json({ error: 'Bad Request', message: 'url must be an http or https URL.' });
+  }
+  if (!Array.isArray(lotteries) || lotteries.length === 0 || !lotteries.every(isLotterySupported)) {
+    return res.status(400).json({ error: 'Bad Request', message: 'lotteries must be a list of supported lottery types.' });
+  }
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+    return res.status(400).json({ error: 'Bad Request', message: `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}.` });
+  }
+  if (events.includes('jackpot_threshold') && !(typeof jackpotThreshold === 'number' && jackpotThreshold > 0)) {
+    return res.status(400).json({ error: 'Bad Request', message: 'jackpotThreshold must be a positive amount for jackpot_threshold events.' });
+  }
+  
+  let token = getSubscriptionToken(req);
+  if (token && subscriptionStore.listForToken(token, getSubscriptionKeyId(req)).length === 0) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Unknown subscription token.' });
+  }
+  const targetProblem = await checkWebhookTarget(target);
+  if (targetProblem) {
+    return res.status(400).json({ error: 'Bad Request', message: targetProblem });
+  }
+  token = token || `st_${crypto.randomBytes(24).toString('hex')}`;
+  
+  const subscription = {
+    id: crypto.randomBytes(8).toString('hex'),
+    url: target.toString(),
+    lotteries: Array.from(new Set(lotteries)),
+    events: Array.from(new Set(events)),
+    jackpotThreshold: events.includes('jackpot_threshold') ? jackpotThreshold : null,
+    secret: crypto.randomBytes(24).toString('hex'),
+    tokenHash: subscriptionStore.hash(token),
+    apiKeyId: getSubscriptionKeyId(req),
+    createdAt: new Date().toISOString()
+  };
+  subscriptionStore.add(subscription);
+  
+  // The secret and token are only shown once: clients need the secret to verify
+  // X-Lottery-Signature and the token to manage the subscription
+  res.status(201).json(Object.assign(describeSubscription(subscription), { secret: subscription.secret, token }));
+});
+
+// List the webhook subscriptions managed with the request's token and API key
+app.get('/api/subscriptions', (req, res) => {
+  const token = getSubscriptionToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Send the subscription token in the X-Subscription-Token header.' });
+  }
+  res.json(subscriptionStore.listForToken(token, getSubscriptionKeyId(req)).map(describeSubscription));
+});
+
+// Get a single webhook subscription
+app.get('/api/subscriptions/:id', (req, res) => {
+  const subscription = findManagedSubscription(req, res);
+  if (!subscription) return;
+  res.json(describeSubscription(subscription));
+});
+
+// Deliveries to a webhook subscription that failed every retry
+app.get('/api/subscriptions/:id/dead-letters', (req, res) => {
+  const subscription = findManagedSubscription(req, res);
+  if (!subscription) return;
+  res.json(subscriptionStore.deadLetters.filter(deadLetter => deadLetter.subscriptionId === subscription.id));
+});
+
+// Delete a webhook subscription
+app.delete('/api/subscriptions/:id', (req, res) => {
+  const subscription = findManagedSubscription(req, res);
+  if (!subscription) return;
+  subscriptionStore.remove(subscription.id);
+  res.status(204).end();
+});
+
+// Health of each data source
+app.get('/api/sources', (req, res) => {
+  const sources = Object.values(SOURCE_ADAPTERS).map(adapter => Object.assign({
+    id: adapter.id,
+    host: adapter.host,
+    lotteries: Object.keys(LOTTERY_GAMES).filter(type => getSourcesForGame(type).includes(adapter))
+  }, sourceHealth.describe(adapter.id)));
+  
+  res.json(sources);
+});
+
+// Results the sources disagreed on
+app.get('/api/admin/conflicts', (req, res) => {
+  const { lottery } = req.query;
+  res.json(consensusConflicts.entries.filter(conflict => !lottery || conflict.lottery === lottery));
+});
+
+// Results rejected by validation against the game rules
+app.get('/api/admin/rejections', (req, res) => {
+  const { lottery } = req.query;
+  res.json(validationRejections.entries.filter(rejection => !lottery || rejection.lottery === lottery));
+});
+
+// Issue an API key. The key is only returned in this response.
+app.post('/api/admin/keys', (req, res) => {
+  const { name, allowedOrigins, requestsPerMinute, burst, dailyQuota } = req.body || {};
+  
+  if (typeof name !== 'string' || name.trim() === '') {
+    return res.status(400).json({ error: 'Bad Request', message: 'name must describe who the key is for.' });
+  }
+  const isOrigin = (origin) => {
+    try {
+      return typeof origin === 'string' && new URL(origin).origin === origin;
+    } catch (e) {
+      return false;
     }
-    
-    return nextDraw.toISOString();
+  };
+  if (allowedOrigins !== undefined && !(Array.isArray(allowedOrigins) && allowedOrigins.every(isOrigin))) {
+    return res.status(400).json({ error: 'Bad Request', message: 'allowedOrigins must be a list of origins such as https://example.com.' });
+  }
+  const limits = { requestsPerMinute, burst, dailyQuota };
+  const invalidLimit = Object.keys(limits).find(field => limits[field] !== undefined && !(Number.isInteger(limits[field]) && limits[field] > 0));
+  if (invalidLimit) {
+    return res.status(400).json({ error: 'Bad Request', message: `${invalidLimit} must be a positive whole number.` });
+  }
+  
+  const { record, key } = apiKeyStore.issue({
+    name: name.trim(),
+    allowedOrigins: allowedOrigins ? Array.from(new Set(allowedOrigins)) : [],
+    requestsPerMinute: requestsPerMinute || null,
+    burst: burst || null,
+    dailyQuota: dailyQuota || null
+  });
+  auditLog.record({ actor: req.adminUser, action: 'api_key_issued', before: null, after: describeApiKey(record), reason: null });
+  res.status(201).json(Object.assign({ key }, describeApiKey(record)));
+});
+
+// List API keys with their usage today
+app.get('/api/admin/keys', (req, res) => {
+  res.json(apiKeyStore.list().map(describeApiKey));
+});
+
+// Get a single API key
+app.get('/api/admin/keys/:id', (req, res) => {
+  const record = apiKeyStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Not Found', message: 'API key not found.' });
+  }
+  res.json(describeApiKey(record));
+});
+
+// Revoke an API key
+app.delete('/api/admin/keys/:id', (req, res) => {
+  const record = apiKeyStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Not Found', message: 'API key not found.' });
+  }
+  if (!record.revokedAt) {
+    apiKeyStore.revoke(record.id);
+    auditLog.record({ actor: req.adminUser, action: 'api_key_revoked', before: null, after: describeApiKey(record), reason: null });
+  }
+  res.status(204).end();
+});
+
+// Issue a token for an admin ({ name }), who is named as the actor of every change
+// made with it. The token is only returned in this response.
+app.post('/api/admin/tokens', (req, res) => {
+  const { name } = req.body || {};
+  if (typeof name !== 'string' || !/^[\w.@+ -]{1,64}$/.test(name.trim()) || name.trim() === 'admin') {
+    return res.status(400).json({ error: 'Bad Request', message: 'name must name the admin (up to 64 letters, digits, spaces and . @ + - _), other than "admin".' });
+  }
+  if (adminTokenStore.listActive().some(record => record.name === name.trim())) {
+    return res.status(409).json({ error: 'Conflict', message: `${name.trim()} already has a token, revoke it first.` });
+  }
+  
+  const { record, token } = adminTokenStore.issue(name.trim(), req.adminUser);
+  auditLog.record({ actor: req.adminUser, action: 'admin_token_issued', before: null, after: describeAdminToken(record), reason: null });
+  res.status(201).json(Object.assign({ token }, describeAdminToken(record)));
+});
+
+// List admin tokens
+app.get('/api/admin/tokens', (req, res) => {
+  res.json(adminTokenStore.list().map(describeAdminToken));
+});
+
+// Revoke an admin token
+app.delete('/api/admin/tokens/:id', (req, res) => {
+  const record = adminTokenStore.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Not Found', message: 'Admin token not found.' });
+  }
+  if (!record.revokedAt) {
+    adminTokenStore.revoke(record.id);
+    auditLog.record({ actor: req.adminUser, action: 'admin_token_revoked', before: null, after: describeAdminToken(record), reason: null });
+  }
+  res.status(204).end();
+});
+
+// Every webhook subscription
+app.get('/api/admin/subscriptions', (req, res) => {
+  res.json(subscriptionStore.list().map(describeSubscription));
+});
+
+// Webhook deliveries that failed every retry, for every subscription
+app.get('/api/admin/subscriptions/dead-letters', (req, res) => {
+  subscriptionStore.load();
+  res.json(subscriptionStore.deadLetters);
+});
+
+// Delete any webhook subscription
+app.delete('/api/admin/subscriptions/:id', (req, res) => {
+  const subscription = subscriptionStore.get(req.params.id);
+  if (!subscription) {
+    return res.status(404).json({ error: 'Not Found', message: 'Subscription not found.' });
+  }
+  subscriptionStore.remove(subscription.id);
+  auditLog.record({ actor: req.adminUser, action: 'subscription_deleted', before: describeSubscription(subscription), after: null, reason: null });
+  res.status(204).end();
+});
+
+// Scrape a game again after an admin change so the change is served straight
+// away. Returns { ok, source, fetchedAt } or { ok: false, error } when every
+// source failed; the change then applies from the next successful scrape.
+async function refreshAfterAdminChange(lotteryType) {
+  try {
+    const lotteryData = await fetchLotteryData(lotteryType);
+    return { ok: true, source: lotteryData.provenance.source, fetchedAt: lotteryData.provenance.fetchedAt };
   } catch (error) {
-    console.error(`Error calculating next draw date for ${lotteryType}:`, error);
-    // Default fallback - 3 days from now
-    const date = new Date();
-    date.setDate(date.getDate() + 3);
-    date.setHours(20, 0, 0, 0);
-    return date.toISOString();
+    return { ok: false, error: error.message };
   }
 }
 
-// Get default jackpot based on lottery type
-function getDefaultJackpot(lotteryType) {
-  if (lotteryType.includes('sa_')) {
-    return 'R10,000,000';
-  } else if (lotteryType.includes('us_')) {
-    return '$40,000,000';
-  } else if (lotteryType.includes('euro_')) {
-    return '€17,000,000';
-  } else if (lotteryType.includes('aus_')) {
-    return 'A$3,000,000';
-  } else if (lotteryType.includes('canada_')) {
-    return 'C$5,000,000';
-  } else if (lotteryType.includes('nz_')) {
-    return 'NZ$4,000,000';
-  } else if (lotteryType.includes('ph_')) {
-    return '₱15,000,000';
-  } else {
-    return '$1,000,000';
+// Respond with the standard 404 for admin routes naming an unsupported game
+function checkAdminLottery(req, res) {
+  if (!isLotterySupported(req.params.lotteryType)) {
+    sendLotteryNotSupported(res);
+    return false;
   }
+  return true;
 }
 
-// Create default prize divisions
-function createDefaultDivisions(lotteryType) {
-  if (lotteryType.includes('sa_lotto')) {
-    return [
-      { division: "Division 1", match: "6 correct numbers", winners: 0, prize: "R0" },
-      { division: "Division 2", match: "5 correct + bonus", winners: 2, prize: "R139,799.40" },
-      { division: "Division 3", match: "5 correct numbers", winners: 31, prize: "R4,885.60" },
-      { division: "Division 4", match: "4 correct + bonus", winners: 112, prize: "R2,147.20" },
-      { division: "Division 5", match: "4 correct numbers", winners: 2214, prize: "R147.20" }
-    ];
-  } else if (lotteryType.includes('sa_powerball')) {
-    return [
-      { division: "Division 1", match: "5 correct + Powerball", winners: 0, prize: "R0" },
-      { division: "Division 2", match: "5 correct numbers", winners: 3, prize: "R262,450.30" },
-      { division: "Division 3", match: "4 correct + Powerball", winners: 18, prize: "R11,568.20" },
-      { division: "Division 4", match: "4 correct numbers", winners: 483, prize: "R975.50" },
-      { division: "Division 5", match: "3 correct + Powerball", winners: 1056, prize: "R496.80" }
-    ];
-  } else if (lotteryType.includes('us_megamillions')) {
-    return [
-      { division: "Jackpot", match: "5 + Mega Ball", winners: 0, prize: "$0" },
-      { division: "Second Prize", match: "5 correct numbers", winners: 1, prize: "$1,000,000" },
-      { division: "Third Prize", match: "4 + Mega Ball", winners: 8, prize: "$10,000" },
-      { division: "Fourth Prize", match: "4 correct numbers", winners: 152, prize: "$500" },
-      { division: "Fifth Prize", match: "3 + Mega Ball", winners: 423, prize: "$200" }
-    ];
-  } else if (lotteryType.includes('us_powerball')) {
-    return [
-      { division: "Grand Prize", match: "5 + Powerball", winners: 0, prize: "$0" },
-      { division: "Prize 2", match: "5 correct numbers", winners: 2, prize: "$1,000,000" },
-      { division: "Prize 3", match: "4 + Powerball", winners: 12, prize: "$50,000" },
-      { division: "Prize 4", match: "4 correct numbers", winners: 267, prize: "$100" },
-      { division: "Prize 5", match: "3 + Powerball", winners: 633, prize: "$100" }
-    ];
-  } else {
-    return [
-      { division: "Division 1", match: "All correct numbers", winners: 0, prize: "No winners" },
-      { division: "Division 2", match: "1 number off", winners: Math.floor(Math.random() * 5) + 1, prize: "€500,000" },
-      { division: "Division 3", match: "2 numbers off", winners: Math.floor(Math.random() * 100) + 10, prize: "€5,000" },
-      { division: "Division 4", match: "3 numbers off", winners: Math.floor(Math.random() * 1000) + 100, prize: "€100" }
-    ];
+// Admin changes, newest first
+app.get('/api/admin/audit', (req, res) => {
+  const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+  if (isNaN(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'Bad Request', message: 'limit must be a number between 1 and 1000.' });
   }
-}
+  res.json(auditLog.list(req.query.lottery, limit));
+});
 
-// Generate realistic historical results
-function generateHistoricalResults(lotteryType, count = 50) {
-  const results = [];
-  const startDate = new Date();
-  let drawFrequency = 3; // Default: draw every 3 days
-  
-  // Set draw frequency based on lottery type
-  if (lotteryType.includes('sa_lotto') || lotteryType.includes('sa_powerball')) {
-    drawFrequency = 3; // Twice a week
-  } else if (lotteryType.includes('us_')) {
-    drawFrequency = 3; // Twice a week
-  } else if (lotteryType.includes('euro_')) {
-    drawFrequency = 3; // Twice a week
-  } else {
-    drawFrequency = 7; // Once a week
+// Draw overrides, optionally for one game
+app.get('/api/admin/overrides', (req, res) => {
+  res.json(overrideStore.list(req.query.lottery));
+});
+
+// Enter or correct a draw by hand. Send pinned: true to keep it over whatever the
+// sources report; otherwise it stands in until they publish the draw.
+app.put('/api/admin/lottery/:lotteryType/draws/:date', async (req, res) => {
+  if (!checkAdminLottery(req, res)) return;
+  const { lotteryType, date } = req.params;
+  
+  const existing = overrideStore.get(lotteryType, date);
+  const { override, reasons } = buildDrawOverride(lotteryType, date, req.body, req.adminUser, existing);
+  if (reasons) {
+    return res.status(400).json({ error: 'Bad Request', message: 'The draw is not valid for this game.', reasons });
   }
   
-  // Determine number range and whether it has a powerball
-  let maxNumber = 50;
-  let powerballMax = 20;
-  const hasPowerball = ['sa_powerball', 'sa_powerball_plus', 'us_powerball', 'us_megamillions', 'euro_jackpot', 'aus_powerball'].includes(lotteryType);
+  overrideStore.put(override);
+  auditLog.record({
+    actor: req.adminUser,
+    action: existing ? 'override_updated' : 'override_created',
+    lottery: lotteryType,
+    date,
+    before: existing,
+    after: override,
+    reason: override.reason
+  });
+  // The history store is updated straight away, whatever the sources say
+  historyStore.save(lotteryType, {
+    date,
+    drawNumber: override.drawNumber,
+    numbers: override.numbers,
+    bonusNumbers: override.bonusNumbers,
+    powerball: getPowerball(override.bonusNumbers, getGame(lotteryType)),
+    divisions: override.divisions || [],
+    rollover: override.rollover,
+    jackpot: override.jackpot,
+    source: 'admin',
+    fetchedAt: override.updatedAt
+  }, { replace: true });
   
-  // Customize ranges based on lottery type
-  if (lotteryType.includes('us_megamillions')) {
-    maxNumber = 70;
-    powerballMax = 25;
-  } else if (lotteryType.includes('us_powerball')) {
-    maxNumber = 69;
-    powerballMax = 26;
-  } else if (lotteryType.includes('sa_lotto')) {
-    maxNumber = 52;
-  } else if (lotteryType.includes('sa_powerball')) {
-    maxNumber = 50;
-    powerballMax = 20;
-  } else if (lotteryType.includes('euro_jackpot')) {
-    maxNumber = 50;
-    powerballMax = 12;
+  const refresh = await refreshAfterAdminChange(lotteryType);
+  res.status(existing ? 200 : 201).json({ override, refresh });
+});
+
+// Remove a draw override; the sources' result is served again after the refresh
+app.delete('/api/admin/lottery/:lotteryType/draws/:date', async (req, res) => {
+  if (!checkAdminLottery(req, res)) return;
+  const { lotteryType, date } = req.params;
+  
+  const removed = overrideStore.remove(lotteryType, date);
+  if (!removed) {
+    return res.status(404).json({ error: 'Not Found', message: 'No override for this draw.' });
   }
+  auditLog.record({
+    actor: req.adminUser,
+    action: 'override_removed',
+    lottery: lotteryType,
+    date,
+    before: removed,
+    after: null,
+    reason: (req.body && req.body.reason) || req.query.reason || null
+  });
+  
+  const refresh = await refreshAfterAdminChange(lotteryType);
+  res.json({ removed, refresh });
+});
+
+// Force a game to be scraped from one source only ({ source: "lotteryextreme" }),
+// or go back to the normal source order with { source: null }
+app.put('/api/admin/lottery/:lotteryType/source', async (req, res) => {
+  if (!checkAdminLottery(req, res)) return;
+  const { lotteryType } = req.params;
+  const { source, reason } = req.body || {};
   
-  // Determine how many main numbers this lottery has
-  let mainBallCount = 6;
-  if (lotteryType.includes('us_megamillions') || lotteryType.includes('us_powerball') || 
-      lotteryType.includes('sa_powerball') || lotteryType.includes('euro_jackpot')) {
-    mainBallCount = 5;
+  const adapter = source ? SOURCE_ADAPTERS[source] : null;
+  if (source !== null && !(adapter && adapter.resolveUrl(lotteryType))) {
+    const available = Object.values(SOURCE_ADAPTERS).filter(candidate => candidate.resolveUrl(lotteryType)).map(candidate => candidate.id);
+    return res.status(400).json({ error: 'Bad Request', message: `source must be null or one of: ${available.join(', ')}.` });
   }
   
-  // Generate the historical results
-  for (let i = 0; i < count; i++) {
-    const date = new Date(startDate);
-    date.setDate(date.getDate() - (i * drawFrequency));
-    
-    // Generate unique random numbers
-    const numbers = [];
-    while (numbers.length < mainBallCount) {
-      const num = Math.floor(Math.random() * maxNumber) + 1;
-      if (!numbers.includes(num)) {
-        numbers.push(num);
-      }
-    }
-    numbers.sort((a, b) => a - b);
-    
-    const result = {
-      date: date.toISOString().split('T')[0],
-      numbers: numbers
+  const previous = overrideStore.getForcedSource(lotteryType);
+  overrideStore.setForcedSource(lotteryType, source);
+  auditLog.record({
+    actor: req.adminUser,
+    action: source ? 'source_forced' : 'source_released',
+    lottery: lotteryType,
+    before: previous,
+    after: source,
+    reason: reason || null
+  });
+  
+  const refresh = await refreshAfterAdminChange(lotteryType);
+  res.json({
+    lottery: lotteryType,
+    forcedSource: source,
+    sources: getSourcesForGame(lotteryType).map(candidate => candidate.id),
+    refresh
+  });
+});
+
+// Purge the cache for one game, or every game
+async function purgeCache(req, res, lotteryTypes) {
+  await Promise.all(lotteryTypes.map(lotteryType => cache.delete(lotteryType)));
+  auditLog.record({
+    actor: req.adminUser,
+    action: 'cache_purged',
+    lottery: lotteryTypes.length === 1 ? lotteryTypes[0] : null,
+    before: null,
+    after: { lotteries: lotteryTypes },
+    reason: req.query.reason || null
+  });
+  res.json({ purged: lotteryTypes });
+}
+
+app.delete('/api/admin/cache/:lotteryType', (req, res) => {
+  if (!checkAdminLottery(req, res)) return;
+  purgeCache(req, res, [req.params.lotteryType]).catch(error => sendApiError(res, error));
+});
+
+app.delete('/api/admin/cache', (req, res) => {
+  purgeCache(req, res, Object.keys(LOTTERY_GAMES).filter(isLotterySupported)).catch(error => sendApiError(res, error));
+});
+
+// Scrape games again now, replacing their cached data
+async function refreshGames(req, res, lotteryTypes) {
+  const results = {};
+  await mapWithConcurrency(lotteryTypes, BATCH_CONCURRENCY, async (lotteryType) => {
+    results[lotteryType] = await refreshAfterAdminChange(lotteryType);
+  });
+  auditLog.record({
+    actor: req.adminUser,
+    action: 'cache_refreshed',
+    lottery: lotteryTypes.length === 1 ? lotteryTypes[0] : null,
+    before: null,
+    after: results,
+    reason: (req.body && req.body.reason) || null
+  });
+  const failed = Object.keys(results).filter(lotteryType => !results[lotteryType].ok);
+  res.status(failed.length === lotteryTypes.length ? 502 : 200).json({ results });
+}
+
+app.post('/api/admin/lottery/:lotteryType/refresh', (req, res) => {
+  if (!checkAdminLottery(req, res)) return;
+  refreshGames(req, res, [req.params.lotteryType]).catch(error => sendApiError(res, error));
+});
+
+app.post('/api/admin/refresh', (req, res) => {
+  refreshGames(req, res, Object.keys(LOTTERY_GAMES).filter(isLotterySupported)).catch(error => sendApiError(res, error));
+});
+
+// Age of each supported game's data: when it was last scraped successfully (by
+// this instance, or by another one sharing the cache) and whether that is too
+// long ago. A game never scraped only counts as stale once this process has
+// been up longer than the threshold.
+function describeDataFreshness(now = Date.now()) {
+  const games = {};
+  for (const lotteryType of Object.keys(LOTTERY_GAMES).filter(isLotterySupported)) {
+    const status = scrapeStatus[lotteryType] || { lastSuccessAt: null, lastFailureAt: null };
+    const cachedData = cache.peek(lotteryType);
+    const lastSuccessAt = [status.lastSuccessAt, cachedData && cachedData.provenance.fetchedAt].filter(Boolean).sort().pop() || null;
+    const age = lastSuccessAt ? now - new Date(lastSuccessAt).getTime() : null;
+    games[lotteryType] = {
+      lastSuccessAt,
+      lastFailureAt: status.lastFailureAt,
+      ageSeconds: age === null ? null : Math.round(age / 1000),
+      stale: age === null ? now - SERVER_STARTED_AT > STATUS_MAX_DATA_AGE : age > STATUS_MAX_DATA_AGE
     };
-    
-    if (hasPowerball) {
-      result.powerball = Math.floor(Math.random() * powerballMax) + 1;
-    }
-    
-    results.push(result);
   }
-  
-  return results;
+  return games;
 }
 
-// Endpoint to get lottery details - now with fallback mechanism
-app.get('/api/lottery/:lotteryType', async (req, res) => {
-  try {
-    const { lotteryType } = req.params;
-    console.log(`Received request for lottery: ${lotteryType}`);
-    
-    // Check if data is in cache
-    const cachedData = cache.get(lotteryType);
-    if (cachedData) {
-      console.log(`Returning cached data for ${lotteryType}`);
-      return res.json(cachedData);
-    }
-    
-    // Try primary source first (lottoland.co.za)
-    let lotteryData = null;
-    let sourceUsed = '';
-    
-    // Get URLs for this lottery type
-    const primaryUrl = PRIMARY_LOTTERY_URLS[lotteryType];
-    const fallbackUrl = FALLBACK_LOTTERY_URLS[lotteryType];
-    
-    // If we don't have URLs for this lottery type
-    if (!primaryUrl && !fallbackUrl) {
-      return res.status(404).json({ 
-        error: 'Lottery not supported',
-        message: 'This lottery type is not currently supported by our data sources.'
-      });
-    }
-    
-    try {
-      if (primaryUrl) {
-        console.log(`Fetching data from primary source for ${lotteryType}: ${primaryUrl}`);
-        const html = await fetchHTML(primaryUrl);
-        lotteryData = await extractFromLottoland(html, lotteryType);
-        sourceUsed = 'lottoland.co.za';
-        console.log(`Successfully extracted data from primary source for ${lotteryType}`);
-      }
-    } catch (primaryError) {
-      console.error(`Error fetching from primary source for ${lotteryType}:`, primaryError);
-      
-      // Try fallback source if primary fails
-      try {
-        if (fallbackUrl) {
-          console.log(`Fetching data from fallback source for ${lotteryType}: ${fallbackUrl}`);
-          const html = await fetchHTML(fallbackUrl);
-          lotteryData = await extractFromLotteryExtreme(html, lotteryType);
-          sourceUsed = 'lotteryextreme.com';
-          console.log(`Successfully extracted data from fallback source for ${lotteryType}`);
-        }
-      } catch (fallbackError) {
-        console.error(`Error fetching from fallback source for ${lotteryType}:`, fallbackError);
-        // Both sources failed, return error
-        return res.status(503).json({ 
-          error: 'Service Unavailable',
-          message: 'Unable to fetch lottery data at this time. Please try again later.'
-        });
-      }
-    }
-    
-    // If we successfully got data, cache it and return it
-    if (lotteryData) {
-      console.log(`Caching and returning data for ${lotteryType} from ${sourceUsed}`);
-      cache.set(lotteryType, lotteryData);
-      return res.json(lotteryData);
-    } else {
-      // If we somehow got here without data or an error being thrown
-      return res.status(500).json({ 
-        error: 'Internal Server Error',
-        message: 'Failed to process lottery data.'
-      });
-    }
-  } catch (error) {
-    console.error('Unexpected error in API endpoint:', error);
-    res.status(500).json({ 
-      error: 'Internal Server Error',
-      message: 'An unexpected error occurred while processing your request.'
-    });
+// Status endpoint. With deep=true it also reports the age of every game's data
+// and the state of the sources, and answers 503 when any game's data is stale.
+app.get('/api/status', (req, res) => {
+  const body = {
+    status: 'ok',
+    message: 'Lottery API is running!',
+    cache: {
+      backend: cache.backend ? cache.backend.name : 'memory',
+      entries: cache.entries.size,
+      maxEntries: cache.maxEntries
+    },
+    scheduler: refreshScheduler.getStatus()
+  };
+  if (req.query.deep !== 'true') {
+    return res.json(body);
   }
+  
+  const games = describeDataFreshness();
+  const staleGames = Object.keys(games).filter(lotteryType => games[lotteryType].stale);
+  Object.assign(body, {
+    status: staleGames.length > 0 ? 'degraded' : 'ok',
+    message: staleGames.length > 0 ?
+      `Data for ${staleGames.join(', ')} has not been refreshed in the last ${STATUS_MAX_DATA_AGE / 60000} minutes.` :
+      body.message,
+    maxDataAgeSeconds: STATUS_MAX_DATA_AGE / 1000,
+    games,
+    sources: Object.values(SOURCE_ADAPTERS).map(adapter => Object.assign({ id: adapter.id }, sourceHealth.describe(adapter.id)))
+  });
+  res.set('Cache-Control', 'no-store');
+  res.status(staleGames.length > 0 ? 503 : 200).json(body);
 });
 
-// Status endpoint
-app.get('/api/status', (req, res) => {
-  res.json({ status: 'ok', message: 'Lottery API is running!' });
+// Metrics in the Prometheus text format, for holders of the admin token
+app.get('/metrics', authenticateAdmin, (req, res) => {
+  const games = describeDataFreshness();
+  const gauges = {
+    lottery_data_age_seconds: {
+      help: 'Seconds since the last successful scrape of each game (-1 when never scraped)',
+      series: Object.keys(games).map(lotteryType => ({ labels: { lottery: lotteryType }, value: games[lotteryType].ageSeconds === null ? -1 : games[lotteryType].ageSeconds }))
+    },
+    source_circuit_open: {
+      help: 'Whether the circuit breaker of each source is open (1) or not (0)',
+      series: Object.values(SOURCE_ADAPTERS).map(adapter => ({ labels: { source: adapter.id }, value: sourceHealth.describe(adapter.id).circuit === 'open' ? 1 : 0 }))
+    },
+    lottery_cache_entries: {
+      help: 'Entries in the in-memory cache',
+      series: [{ labels: {}, value: cache.entries.size }]
+    },
+    process_uptime_seconds: {
+      help: 'Seconds since the server started',
+      series: [{ labels: {}, value: Math.round((Date.now() - SERVER_STARTED_AT) / 1000) }]
+    }
+  };
+  res.set('Cache-Control', 'no-store');
+  res.type('text/plain; version=0.0.4').send(metrics.render(gauges));
 });
 
 // Get all available lottery types
 app.get('/api/lotteries', (req, res) => {
-  const lotteries = Object.keys(PRIMARY_LOTTERY_URLS).map(key => {
+  const lotteries = Object.keys(LOTTERY_GAMES).map(key => {
+    const game = LOTTERY_GAMES[key];
     return {
       id: key,
-      name: key.replace(/_/g, ' ').toUpperCase()
+      name: game.name,
+      currency: game.currency,
+      hasPowerball: Boolean(game.bonusBalls && !game.bonusBalls.fromMainPool)
     };
   });
   
+  // The catalog only changes on restart
+  setCacheHeaders(res, { etag: contentHash(lotteries), lastModified: SERVER_STARTED_AT, maxAge: 60 * 60 * 1000 });
   res.json(lotteries);
 });
 
+// Get the rules for a single lottery type
+app.get('/api/lotteries/:lotteryType/rules', (req, res) => {
+  const { lotteryType } = req.params;
+  if (!getGame(lotteryType)) {
+    return sendLotteryNotSupported(res);
+  }
+  
+  res.json(describeGame(lotteryType));
+});
+
 // Root path shows API info
 app.get('/', (req, res) => {
   res.send(`
@@ -695,15 +5439,41 @@ app.get('/', (req, res) => {
     <body>
       <h1>Lottery API Service</h1>
       <p>This API provides real-time lottery information from multiple sources.</p>
+      <p>Send your API key in the <code>X-API-Key</code> header (or the <code>api_key</code> query parameter). Requests without a key are rate limited per IP address${REQUIRE_API_KEY ? ' and are currently refused' : ''}.</p>
       <h2>Endpoints:</h2>
       <ul>
         <li><code>GET /api/status</code> - Check if API is running</li>
+        <li><code>GET /api/sources</code> - Get data source health and circuit breaker state</li>
+        <li><code>GET /api/admin/conflicts</code> - Get results the data sources disagreed on</li>
+        <li><code>GET /api/admin/rejections</code> - Get scraped results that failed validation against the game rules</li>
+        <li><code>PUT /api/admin/lottery/:lotteryType/draws/:date</code> - Enter or correct a draw by hand (<code>pinned: true</code> keeps it over the sources; <code>DELETE</code> to remove, <code>GET /api/admin/overrides</code> to list)</li>
+        <li><code>PUT /api/admin/lottery/:lotteryType/source</code> - Force a game to be scraped from one source (<code>{"source": null}</code> to go back to normal)</li>
+        <li><code>DELETE /api/admin/cache/:lotteryType</code> - Purge the cache for a game (<code>DELETE /api/admin/cache</code> for every game)</li>
+        <li><code>POST /api/admin/lottery/:lotteryType/refresh</code> - Scrape a game again now (<code>POST /api/admin/refresh</code> for every game)</li>
+        <li><code>GET /api/admin/subscriptions</code> - Get every webhook subscription (<code>/api/admin/subscriptions/dead-letters</code> for failed deliveries)</li>
+        <li><code>GET /api/admin/audit?lottery=</code> - Get the audit trail of admin changes</li>
+        <li><code>POST /api/admin/keys</code> - Issue an API key (<code>GET</code> to list with usage, <code>DELETE /api/admin/keys/:id</code> to revoke)</li>
+        <li><code>POST /api/admin/tokens</code> - Issue an admin their own token (<code>GET</code> to list, <code>DELETE /api/admin/tokens/:id</code> to revoke)</li>
+        <li><code>GET /api/status?deep=true</code> - Health check with the age of every game's data, <code>503</code> when any is stale</li>
+        <li><code>GET /metrics</code> - Request, cache, upstream fetch and placeholder data metrics in the Prometheus text format (needs the admin token)</li>
         <li><code>GET /api/lotteries</code> - Get list of supported lotteries</li>
-        <li><code>GET /api/lottery/:lotteryType</code> - Get lottery details</li>
+        <li><code>GET /api/lotteries/:lotteryType/rules</code> - Get a lottery's ball counts, ranges and draw schedule</li>
+        <li><code>GET /api/lottery/:lotteryType</code> - Get lottery details (add <code>?strict=true</code> to refuse placeholder or missing data)</li>
+        <li><code>GET /api/results?lotteries=sa_lotto,us_powerball</code> - Get several lotteries at once (<code>lotteries=all</code> for every game), with per-game errors</li>
+        <li><code>GET /api/lottery/:lotteryType/history?from=&amp;to=&amp;limit=&amp;cursor=</code> - Get stored past draws</li>
+        <li><code>GET /api/lottery/:lotteryType/draws/:drawId</code> - Get one draw by date (YYYY-MM-DD) or official draw number (also <code>/draws?date=</code>)</li>
+        <li><code>GET /api/lottery/:lotteryType/stats?window=N&amp;from=&amp;to=</code> - Get number frequency, hot/cold, overdue and pair statistics</li>
+        <li><code>GET /api/lottery/:lotteryType/schedule?count=N</code> - Get the next N draw times</li>
+        <li><code>GET /api/lottery/:lotteryType/draws.ics</code> - Subscribe to upcoming draws in a calendar app</li>
+        <li><code>GET /api/lottery/:lotteryType/history.csv</code> - Download every stored draw, or those between <code>from</code> and <code>to</code>, as CSV (also <code>history.json</code>)</li>
+        <li><code>GET /api/lottery/:lotteryType/feed.xml</code> - RSS feed of draw results (<code>?format=atom</code> for Atom)</li>
+        <li><code>POST /api/lottery/:lotteryType/check</code> - Check tickets against a draw</li>
+        <li><code>GET /api/stream?lotteries=sa_lotto,us_powerball</code> - Live stream of new results, jackpot and division updates (Server-Sent Events)</li>
+        <li><code>POST /api/subscriptions</code> - Register a webhook for new results and jackpot changes (<code>GET</code> to list, <code>DELETE /api/subscriptions/:id</code> to remove, with the returned token in <code>X-Subscription-Token</code>)</li>
       </ul>
       <h2>Supported Lotteries:</h2>
       <ul>
-        ${Object.keys(PRIMARY_LOTTERY_URLS).map(type => `<li><code>${type}</code></li>`).join('')}
+        ${Object.keys(LOTTERY_GAMES).map(type => `<li><code>${type}</code> - ${LOTTERY_GAMES[type].name}</li>`).join('')}
       </ul>
       <p>Example: <code>${req.protocol}://${req.get('host')}/api/lottery/sa_lotto</code></p>
     </body>
@@ -711,7 +5481,59 @@ app.get('/', (req, res) => {
   `);
 });
 
-// Start the server
-app.listen(port, () => {
-  console.log(`Lottery API server running on port ${port}`);
-});
+// Start the server when run directly (not when required by the tests)
+if (require.main === module) {
+  if (!ADMIN_TOKEN && adminTokenStore.listActive().length === 0) {
+    logger.error('ADMIN_TOKEN is not set and no admin tokens have been issued, the admin API will refuse every request');
+  }
+  app.listen(port, () => {
+    logger.info('Lottery API server running', { port: Number(port) });
+    if (REFRESH_SCHEDULER_ENABLED) {
+      refreshScheduler.start();
+    }
+  });
+}
+
+module.exports = {
+  app,
+  logger,
+  fetchHTML,
+  FETCH_SETTINGS,
+  htmlFixtures,
+  extractFromLottoland,
+  extractFromLotteryExtreme,
+  parseDrawDate,
+  parseAmount,
+  validateDraw,
+  validateDivisions,
+  cache,
+  createRedisCacheBackend,
+  sourceHealth,
+  fetchLotteryData,
+  mapWithConcurrency,
+  historyStore,
+  consensusConflicts,
+  applyConsensus,
+  subscriptionStore,
+  apiKeyStore,
+  adminTokenStore,
+  overrideStore,
+  auditLog,
+  isPublicAddress,
+  getStrictModeError,
+  findDrawForTicket,
+  scoreTicket,
+  lotteryContentHash,
+  formatHistoryCsv,
+  formatResultsFeed,
+  formatDrawCalendar,
+  escapeIcsText,
+  buildDrawOverride,
+  applyDrawOverrides,
+  rateLimiter,
+  metrics,
+  SOURCE_ADAPTERS,
+  LOTTERY_GAMES,
+  PRIMARY_LOTTERY_URLS,
+  FALLBACK_LOTTERY_URLS
+};
@@ -0,0 +1,142 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  adminTokenStore, apiKeyStore, auditLog, overrideStore, historyStore, subscriptionStore, cache, sourceHealth, consensusConflicts, rateLimiter,
+  extractFromLottoland, SOURCE_ADAPTERS
+} = require('../server');
+const { startApi } = require('./support/api');
+
+const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'samples', 'www.lottoland.co.za', 'lotto-results-history.html'), 'utf8');
+
+describe('admin API', () => {
+  const api = startApi();
+  const stores = [
+    [adminTokenStore, { file: 'admin-tokens.json', tokens: {}, byHash: {} }],
+    [apiKeyStore, { file: 'api-keys.json', keys: {}, byHash: {} }],
+    [auditLog, { file: 'admin-audit.jsonl', entries: [] }],
+    [overrideStore, { file: 'overrides.json', draws: {}, forcedSources: {}, released: {} }],
+    [historyStore, { file: 'draw-history.jsonl', draws: {} }],
+    [subscriptionStore, { file: 'subscriptions.json', subscriptions: {}, deadLetters: [] }]
+  ];
+  const previous = {
+    stores: stores.map(([store, fields]) => Object.keys(fields).concat('loaded').reduce((saved, field) => Object.assign(saved, { [field]: store[field] }), {})),
+    entries: cache.entries,
+    sources: sourceHealth.sources,
+    conflicts: consensusConflicts.entries,
+    adapters: Object.values(SOURCE_ADAPTERS).map(adapter => ({ fetch: adapter.fetch, extract: adapter.extract }))
+  };
+  let dir;
+  let alice;
+  
+  // Every source reports the sample SA Lotto page (draw of 12 October 2024), or
+  // fails when `failing` is set
+  const useSources = (failing) => {
+    for (const adapter of Object.values(SOURCE_ADAPTERS)) {
+      adapter.fetch = () => (failing ?
+        Promise.reject(Object.assign(new Error('Failed to load page, status code: 503'), { status: 503 })) :
+        Promise.resolve(page));
+      adapter.extract = (html, lotteryType) => extractFromLottoland(html, lotteryType);
+    }
+  };
+  const asAlice = (headers) => Object.assign({ Authorization: `Bearer ${alice}` }, headers);
+  const correction = { numbers: [1, 2, 3, 4, 5, 6], bonusNumbers: [7], reason: 'Corrected from the official results' };
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-'));
+    // Fresh copies, as the stores change their objects in place
+    for (const [store, fields] of stores) {
+      Object.assign(store, JSON.parse(JSON.stringify(fields)), { file: path.join(dir, fields.file), loaded: true });
+    }
+    cache.entries = new Map();
+    sourceHealth.sources = {};
+    consensusConflicts.entries = [];
+    rateLimiter.buckets.clear();
+    alice = adminTokenStore.issue('alice', 'admin').token;
+  });
+  
+  afterEach(async () => {
+    await Promise.all(stores.map(([store]) => store.writeQueue));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  after(async () => {
+    stores.forEach(([store], index) => Object.assign(store, previous.stores[index]));
+    cache.entries = previous.entries;
+    sourceHealth.sources = previous.sources;
+    consensusConflicts.entries = previous.conflicts;
+    Object.values(SOURCE_ADAPTERS).forEach((adapter, index) => Object.assign(adapter, previous.adapters[index]));
+    await api.close();
+  });
+  
+  it('records the holder of the token as the actor, whatever X-Admin-User says', async () => {
+    const issued = await api.request('POST', '/api/admin/keys', { body: { name: 'partner' }, headers: asAlice({ 'X-Admin-User': 'mallory' }) });
+    assert.strictEqual(issued.status, 201);
+    assert.deepStrictEqual(auditLog.list().map(entry => [entry.action, entry.actor]), [['api_key_issued', 'alice']]);
+  });
+  
+  it('issues and revokes tokens for other admins', async () => {
+    const issued = await api.request('POST', '/api/admin/tokens', { body: { name: 'bob' }, headers: asAlice() });
+    assert.strictEqual(issued.status, 201);
+    assert.match(issued.body.token, /^at_/);
+    assert.strictEqual(issued.body.createdBy, 'alice');
+    assert.strictEqual(issued.body.tokenHash, undefined);
+    assert.strictEqual((await api.request('POST', '/api/admin/tokens', { body: { name: 'bob' }, headers: asAlice() })).status, 409);
+    assert.strictEqual((await api.request('POST', '/api/admin/tokens', { body: { name: 'admin' }, headers: asAlice() })).status, 400);
+    
+    const bob = { Authorization: `Bearer ${issued.body.token}` };
+    assert.strictEqual((await api.request('GET', '/api/admin/tokens', { headers: bob })).body.length, 2);
+    assert.strictEqual((await api.request('DELETE', `/api/admin/tokens/${issued.body.id}`, { headers: asAlice() })).status, 204);
+    const refused = await api.request('GET', '/api/admin/tokens', { headers: bob });
+    assert.strictEqual(refused.status, 401);
+    assert.match(refused.headers['www-authenticate'], /^Bearer /);
+    assert.deepStrictEqual(auditLog.list().map(entry => [entry.action, entry.actor]), [['admin_token_revoked', 'alice'], ['admin_token_issued', 'alice']]);
+  });
+  
+  it('serves an override when every source fails and nothing is cached', async () => {
+    useSources(true);
+    const put = await api.request('PUT', '/api/admin/lottery/sa_lotto/draws/2024-10-12', { body: correction, headers: asAlice() });
+    assert.strictEqual(put.status, 201);
+    assert.strictEqual(put.body.refresh.ok, false);
+    
+    const response = await api.request('GET', '/api/lottery/sa_lotto');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.lastDrawDate, '2024-10-12');
+    assert.deepStrictEqual(response.body.winningNumbers, [1, 2, 3, 4, 5, 6]);
+    assert.strictEqual(response.body.provenance.fields.winningNumbers.type, 'override');
+  });
+  
+  it('applies an override to cached data when the refresh fails', async () => {
+    useSources(false);
+    assert.deepStrictEqual((await api.request('GET', '/api/lottery/sa_lotto')).body.winningNumbers, [4, 11, 19, 27, 38, 45]);
+    
+    useSources(true);
+    await api.request('PUT', '/api/admin/lottery/sa_lotto/draws/2024-10-12', { body: correction, headers: asAlice() });
+    const response = await api.request('GET', '/api/lottery/sa_lotto');
+    assert.deepStrictEqual(response.body.winningNumbers, [1, 2, 3, 4, 5, 6]);
+    assert.deepStrictEqual(response.body.provenance.overrides.map(entry => entry.date), ['2024-10-12']);
+  });
+  
+  it('keeps an unpinned override the sources report other numbers for', async () => {
+    useSources(false);
+    const put = await api.request('PUT', '/api/admin/lottery/sa_lotto/draws/2024-10-12', { body: correction, headers: asAlice() });
+    assert.strictEqual(put.body.refresh.ok, true);
+    
+    assert.ok(overrideStore.get('sa_lotto', '2024-10-12'));
+    assert.deepStrictEqual(historyStore.draws.sa_lotto['2024-10-12'].numbers, [1, 2, 3, 4, 5, 6]);
+    assert.deepStrictEqual((await api.request('GET', '/api/lottery/sa_lotto')).body.winningNumbers, [1, 2, 3, 4, 5, 6]);
+  });
+  
+  it('retires an unpinned override once the sources report the same numbers', async () => {
+    useSources(false);
+    const scraped = await extractFromLottoland(page, 'sa_lotto');
+    const body = Object.assign({}, correction, { numbers: scraped.winningNumbers, bonusNumbers: scraped.bonusNumbers });
+    await api.request('PUT', '/api/admin/lottery/sa_lotto/draws/2024-10-12', { body, headers: asAlice() });
+    
+    assert.strictEqual(overrideStore.get('sa_lotto', '2024-10-12'), null);
+    assert.deepStrictEqual(historyStore.draws.sa_lotto['2024-10-12'].numbers, scraped.winningNumbers);
+    assert.deepStrictEqual(auditLog.list().map(entry => [entry.action, entry.actor]), [['override_superseded', 'system'], ['override_created', 'alice']]);
+  });
+});
@@ -0,0 +1,22 @@
+const assert = require('assert');
+
+const { parseAmount } = require('../server');
+
+describe('parseAmount', () => {
+  it('reads amounts with a currency marker and a written-out suffix', () => {
+    assert.deepStrictEqual([parseAmount('R25,000,000', 'ZAR').amount, parseAmount('R25,000,000', 'ZAR').currency], [2500000000, 'ZAR']);
+    assert.strictEqual(parseAmount('A$1.5 million', 'AUD').amount, 150000000);
+    assert.strictEqual(parseAmount('17.000.000 €', 'EUR').amount, 1700000000);
+    assert.strictEqual(parseAmount('1,5 Mio', 'EUR').amount, 150000000);
+  });
+  
+  it('does not read "mil" as a million', () => {
+    assert.strictEqual(parseAmount('500 mil', 'EUR').amount, 50000);
+  });
+  
+  it('only takes a standalone R for the rand', () => {
+    assert.strictEqual(parseAmount('Winner 5', 'EUR').currency, 'EUR');
+    assert.strictEqual(parseAmount('Number 5', 'USD').currency, 'USD');
+    assert.strictEqual(parseAmount('Prize: R 50', 'EUR').currency, 'ZAR');
+  });
+});
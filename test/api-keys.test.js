@@ -0,0 +1,109 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { apiKeyStore, cache, extractFromLottoland } = require('../server');
+const { startApi } = require('./support/api');
+
+const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'samples', 'www.lottoland.co.za', 'lotto-results-history-classic.html'), 'utf8');
+
+describe('API key middleware', () => {
+  const api = startApi();
+  const previous = { file: apiKeyStore.file, keys: apiKeyStore.keys, byHash: apiKeyStore.byHash, loaded: apiKeyStore.loaded };
+  const previousEntries = cache.entries;
+  let dir;
+  
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    Object.assign(apiKeyStore, { file: path.join(dir, 'api-keys.json'), keys: {}, byHash: {}, loaded: true });
+  });
+  
+  after(async () => {
+    clearTimeout(apiKeyStore.persistTimer);
+    apiKeyStore.persistTimer = null;
+    await apiKeyStore.writeQueue;
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.assign(apiKeyStore, previous);
+    cache.entries = previousEntries;
+    await api.close();
+  });
+  
+  // Issue a key with the given fields, returns the key itself
+  const issueKey = (fields = {}) => apiKeyStore.issue(Object.assign({ name: 'test' }, fields)).key;
+  
+  it('refuses unknown and revoked keys with 401', async () => {
+    assert.strictEqual((await api.request('GET', '/api/sources', { headers: { 'X-API-Key': 'lk_unknown' } })).status, 401);
+    
+    const { record, key } = apiKeyStore.issue({ name: 'revoked' });
+    apiKeyStore.revoke(record.id);
+    const response = await api.request('GET', `/api/sources?api_key=${key}`);
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.body.error, 'Unauthorized');
+  });
+  
+  it('refuses a key from an origin outside its allowlist with 403', async () => {
+    const key = issueKey({ allowedOrigins: ['https://allowed.example'] });
+    const refused = await api.request('GET', '/api/sources', { headers: { 'X-API-Key': key, Origin: 'https://other.example' } });
+    assert.strictEqual(refused.status, 403);
+    
+    const allowed = await api.request('GET', '/api/sources', { headers: { 'X-API-Key': key, Origin: 'https://allowed.example' } });
+    assert.strictEqual(allowed.status, 200);
+    assert.strictEqual(allowed.headers['access-control-allow-origin'], 'https://allowed.example');
+  });
+  
+  it('answers 429 with Retry-After once the burst is used up', async () => {
+    const headers = { 'X-API-Key': issueKey({ requestsPerMinute: 1, burst: 2 }) };
+    const statuses = [];
+    for (let i = 0; i < 2; i++) {
+      statuses.push((await api.request('GET', '/api/sources', { headers })).status);
+    }
+    const limited = await api.request('GET', '/api/sources', { headers });
+    assert.deepStrictEqual(statuses, [200, 200]);
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.error, 'Too Many Requests');
+    assert.ok(Number(limited.headers['retry-after']) > 0 && Number(limited.headers['retry-after']) <= 60);
+    assert.strictEqual(limited.headers['x-ratelimit-remaining'], '0');
+  });
+  
+  it('answers 429 until the next UTC day once the daily quota is used up', async () => {
+    const key = issueKey({ dailyQuota: 2 });
+    const headers = { 'X-API-Key': key };
+    await api.request('GET', '/api/sources', { headers });
+    const last = await api.request('GET', '/api/sources', { headers });
+    assert.strictEqual(last.status, 200);
+    assert.strictEqual(last.headers['x-quota-remaining'], '0');
+    
+    const refused = await api.request('GET', '/api/sources', { headers });
+    assert.strictEqual(refused.status, 429);
+    assert.strictEqual(refused.body.error, 'Quota Exceeded');
+    const midnight = new Date(`${new Date().toISOString().split('T')[0]}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000;
+    assert.ok(Math.abs(Number(refused.headers['retry-after']) - (midnight - Date.now()) / 1000) <= 2);
+    assert.strictEqual(apiKeyStore.findByKey(key).usage.count, 2);
+  });
+  
+  it('keeps responses to key holders out of shared caches', async () => {
+    cache.entries = new Map();
+    cache.remember('sa_lotto', { value: await extractFromLottoland(page, 'sa_lotto'), storedAt: Date.now(), maxAge: 60000 });
+    
+    const anonymous = await api.request('GET', '/api/lottery/sa_lotto');
+    assert.match(anonymous.headers['cache-control'], /^public, /);
+    assert.match(anonymous.headers.vary, /X-API-Key/);
+    
+    const keyed = await api.request('GET', '/api/lottery/sa_lotto', { headers: { 'X-API-Key': issueKey() } });
+    assert.match(keyed.headers['cache-control'], /^private, /);
+  });
+});
+
+describe('admin API without ADMIN_TOKEN', () => {
+  const api = startApi();
+  
+  after(() => api.close());
+  
+  it('refuses requests even from this machine', async () => {
+    for (const [method, url] of [['GET', '/api/admin/keys'], ['POST', '/api/admin/keys'], ['GET', '/api/admin/audit']]) {
+      const response = await api.request(method, url, { body: method === 'POST' ? { name: 'local' } : undefined });
+      assert.strictEqual(response.status, 403, `${method} ${url}`);
+    }
+  });
+});
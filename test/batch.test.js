@@ -0,0 +1,80 @@
+const assert = require('assert');
+
+const { fetchLotteryData, mapWithConcurrency, sourceHealth, SOURCE_ADAPTERS } = require('../server');
+
+describe('fetchLotteryData', () => {
+  const previous = {
+    sources: sourceHealth.sources,
+    fetches: Object.values(SOURCE_ADAPTERS).map(adapter => adapter.fetch)
+  };
+  let requested;
+  
+  beforeEach(() => {
+    sourceHealth.sources = {};
+    requested = [];
+    // Every source fails after a short wait, so nothing is cached or recorded
+    for (const adapter of Object.values(SOURCE_ADAPTERS)) {
+      adapter.fetch = (url) => {
+        requested.push(url);
+        return new Promise((resolve, reject) => setTimeout(() => reject(Object.assign(new Error('Failed to load page, status code: 503'), { status: 503 })), 20));
+      };
+    }
+  });
+  
+  afterEach(() => {
+    sourceHealth.sources = previous.sources;
+    Object.values(SOURCE_ADAPTERS).forEach((adapter, index) => {
+      adapter.fetch = previous.fetches[index];
+    });
+  });
+  
+  it('lets concurrent calls for a game share one fetch from each source', async () => {
+    const calls = [fetchLotteryData('sa_lotto'), fetchLotteryData('sa_lotto'), fetchLotteryData('sa_lotto')];
+    assert.strictEqual(calls[1], calls[0]);
+    assert.strictEqual(calls[2], calls[0]);
+    for (const call of calls) {
+      await assert.rejects(call, error => error.status === 503);
+    }
+    assert.deepStrictEqual(requested, [
+      'https://www.lottoland.co.za/lotto/results-history',
+      'https://www.lotteryextreme.com/south-africa-lotto/results'
+    ]);
+  });
+  
+  it('fetches again once the shared fetch has settled', async () => {
+    await assert.rejects(fetchLotteryData('sa_lotto'));
+    await assert.rejects(fetchLotteryData('sa_lotto'));
+    assert.strictEqual(requested.length, 4);
+  });
+  
+  it('does not share fetches between games', async () => {
+    const calls = [fetchLotteryData('sa_lotto'), fetchLotteryData('sa_powerball')];
+    assert.notStrictEqual(calls[1], calls[0]);
+    await Promise.all(calls.map(call => assert.rejects(call)));
+    assert.strictEqual(requested.length, 4);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps at most the given number of calls in flight and resolves in item order', async () => {
+    let active = 0;
+    let mostActive = 0;
+    const results = await mapWithConcurrency([30, 5, 20, 10, 1, 15], 2, async (delay, index) => {
+      active++;
+      mostActive = Math.max(mostActive, active);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      active--;
+      return index;
+    });
+    assert.strictEqual(mostActive, 2);
+    assert.deepStrictEqual(results, [0, 1, 2, 3, 4, 5]);
+  });
+  
+  it('starts no more calls than there are items', async () => {
+    let started = 0;
+    await mapWithConcurrency(['a'], 4, async () => {
+      started++;
+    });
+    assert.strictEqual(started, 1);
+  });
+});
@@ -0,0 +1,140 @@
+const assert = require('assert');
+const net = require('net');
+
+const { cache, createRedisCacheBackend } = require('../server');
+
+// A minimal server speaking the Redis protocol, keeping GET, SET with PX and DEL
+// in memory. While `hanging` is set it reads commands without ever answering.
+function startFakeRedis() {
+  const values = new Map(); // key -> { value, expiresAt }
+  const connections = new Set();
+  const fake = { values, connections, commands: [], hanging: false };
+  
+  // Parse complete commands (arrays of bulk strings) off the front of the buffer
+  const parseCommands = (buffer, onCommand) => {
+    let offset = 0;
+    for (;;) {
+      const header = buffer.indexOf('\r\n', offset);
+      if (header === -1) return offset;
+      const count = Number(buffer.toString('utf8', offset + 1, header));
+      const args = [];
+      let position = header + 2;
+      for (let i = 0; i < count; i++) {
+        const lineEnd = buffer.indexOf('\r\n', position);
+        if (lineEnd === -1) return offset;
+        const size = Number(buffer.toString('utf8', position + 1, lineEnd));
+        if (buffer.length < lineEnd + 2 + size + 2) return offset;
+        args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + size));
+        position = lineEnd + 2 + size + 2;
+      }
+      offset = position;
+      onCommand(args);
+    }
+  };
+  
+  const reply = (args) => {
+    const [name, key] = args;
+    const stored = values.get(key);
+    const live = stored && (stored.expiresAt === null || stored.expiresAt > Date.now()) ? stored : null;
+    if (name === 'GET') {
+      return live ? `$${Buffer.byteLength(live.value)}\r\n${live.value}\r\n` : '$-1\r\n';
+    }
+    if (name === 'SET') {
+      const px = args.indexOf('PX');
+      values.set(key, { value: args[2], expiresAt: px === -1 ? null : Date.now() + Number(args[px + 1]) });
+      return '+OK\r\n';
+    }
+    if (name === 'DEL') {
+      values.delete(key);
+      return `:${live ? 1 : 0}\r\n`;
+    }
+    return `-ERR unknown command '${name}'\r\n`;
+  };
+  
+  fake.server = net.createServer((socket) => {
+    connections.add(socket);
+    socket.on('close', () => connections.delete(socket));
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      buffer = buffer.slice(parseCommands(buffer, (args) => {
+        fake.commands.push(args);
+        if (!fake.hanging) socket.write(reply(args));
+      }));
+    });
+  });
+  fake.listening = new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+  fake.url = () => `redis://127.0.0.1:${fake.server.address().port}`;
+  fake.close = () => {
+    connections.forEach(socket => socket.destroy());
+    return new Promise(resolve => fake.server.close(resolve));
+  };
+  return fake;
+}
+
+describe('Redis cache backend', () => {
+  let fake;
+  let backend;
+  
+  beforeEach(async () => {
+    fake = startFakeRedis();
+    await fake.listening;
+    backend = createRedisCacheBackend(fake.url(), { timeout: 100, retryDelay: 200 });
+  });
+  
+  afterEach(async () => {
+    await fake.close();
+  });
+  
+  it('stores and reads back entries under its prefix', async () => {
+    const entry = { value: { name: 'SA Lotto' }, storedAt: 1, maxAge: 1000 };
+    await backend.set('sa_lotto', entry, 60000);
+    assert.deepStrictEqual(await backend.get('sa_lotto'), entry);
+    assert.strictEqual(await backend.get('us_powerball'), null);
+    assert.deepStrictEqual(fake.commands[0].slice(0, 2), ['SET', 'lottery-api:cache:sa_lotto']);
+    
+    await backend.delete('sa_lotto');
+    assert.strictEqual(await backend.get('sa_lotto'), null);
+  });
+  
+  it('lets the server expire entries after their TTL', async () => {
+    await backend.set('sa_lotto', { value: {}, storedAt: 1, maxAge: 1000 }, 30);
+    assert.deepStrictEqual(fake.commands[0].slice(3), ['PX', '30']);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(await backend.get('sa_lotto'), null);
+  });
+  
+  it('fails commands the server does not answer in time, then fails fast until the retry delay', async () => {
+    fake.hanging = true;
+    const started = Date.now();
+    await assert.rejects(Promise.all([backend.get('sa_lotto'), backend.get('us_powerball')]), /timed out after 100ms/);
+    assert.ok(Date.now() - started < 1000);
+    
+    await assert.rejects(backend.get('sa_lotto'), /unavailable/);
+    assert.strictEqual(fake.commands.length, 2);
+    
+    fake.hanging = false;
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.strictEqual(await backend.get('sa_lotto'), null);
+  });
+  
+  it('fails commands when the server cannot be reached', async () => {
+    await fake.close();
+    await assert.rejects(backend.get('sa_lotto'), /Redis connection closed|timed out/);
+  });
+  
+  it('leaves the cache serving from memory when the server hangs', async () => {
+    const previous = { backend: cache.backend, entries: cache.entries };
+    fake.hanging = true;
+    cache.backend = backend;
+    cache.entries = new Map();
+    try {
+      const entry = { value: { name: 'SA Lotto' }, storedAt: Date.now(), maxAge: 60000 };
+      cache.remember('sa_lotto', entry);
+      assert.strictEqual(await cache.lookup('sa_lotto'), entry);
+      assert.strictEqual(await cache.lookup('us_powerball'), null);
+    } finally {
+      Object.assign(cache, previous);
+    }
+  });
+});
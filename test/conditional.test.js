@@ -0,0 +1,77 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { cache, lotteryContentHash, extractFromLottoland } = require('../server');
+const { startApi } = require('./support/api');
+
+const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'samples', 'www.lottoland.co.za', 'lotto-results-history-classic.html'), 'utf8');
+
+describe('lotteryContentHash', () => {
+  it('ignores placeholder fields, which hold no data from the sources', async () => {
+    const lotteryData = await extractFromLottoland(page, 'sa_lotto');
+    lotteryData.provenance.fields.jackpot = { type: 'synthetic', reason: 'No jackpot found on the source page, placeholder amount used' };
+    
+    const regenerated = Object.assign({}, lotteryData, { jackpot: Object.assign({}, lotteryData.jackpot, { amount: 1 }) });
+    assert.strictEqual(lotteryContentHash(regenerated), lotteryContentHash(lotteryData));
+    
+    const newDraw = Object.assign({}, lotteryData, { winningNumbers: [1, 2, 3, 4, 5, 6] });
+    assert.notStrictEqual(lotteryContentHash(newDraw), lotteryContentHash(lotteryData));
+  });
+});
+
+describe('conditional GET of a lottery', () => {
+  const api = startApi();
+  const previousEntries = cache.entries;
+  const firstSeenAt = '2024-10-12T19:00:00.000Z';
+  
+  beforeEach(async () => {
+    const lotteryData = await extractFromLottoland(page, 'sa_lotto');
+    lotteryData.provenance.firstSeenAt = firstSeenAt;
+    cache.entries = new Map();
+    cache.remember('sa_lotto', { value: lotteryData, storedAt: Date.now(), maxAge: 60000 });
+  });
+  
+  after(async () => {
+    cache.entries = previousEntries;
+    await api.close();
+  });
+  
+  it('sends a weak ETag and Last-Modified', async () => {
+    const response = await api.request('GET', '/api/lottery/sa_lotto');
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.etag, /^W\/".+"$/);
+    assert.strictEqual(response.headers['last-modified'], new Date(firstSeenAt).toUTCString());
+  });
+  
+  it('answers If-None-Match with a matching ETag with an empty 304', async () => {
+    const { headers } = await api.request('GET', '/api/lottery/sa_lotto');
+    const response = await api.request('GET', '/api/lottery/sa_lotto', { headers: { 'If-None-Match': headers.etag } });
+    assert.strictEqual(response.status, 304);
+    assert.strictEqual(response.text, '');
+    assert.strictEqual(response.headers.etag, headers.etag);
+  });
+  
+  it('sends the data again when the ETag does not match', async () => {
+    const response = await api.request('GET', '/api/lottery/sa_lotto', { headers: { 'If-None-Match': 'W/"something-else"' } });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.winningNumbers, [4, 11, 19, 27, 38, 45]);
+  });
+  
+  it('answers If-Modified-Since with 304 unless the data changed since', async () => {
+    const unchanged = await api.request('GET', '/api/lottery/sa_lotto', { headers: { 'If-Modified-Since': new Date(firstSeenAt).toUTCString() } });
+    assert.strictEqual(unchanged.status, 304);
+    
+    const changed = await api.request('GET', '/api/lottery/sa_lotto', { headers: { 'If-Modified-Since': new Date('2024-10-10T00:00:00Z').toUTCString() } });
+    assert.strictEqual(changed.status, 200);
+  });
+  
+  it('keeps the ETag when only placeholder fields change', async () => {
+    const entry = cache.entries.get('sa_lotto');
+    entry.value.provenance.fields.jackpot = { type: 'synthetic', reason: 'No jackpot found on the source page, placeholder amount used' };
+    const { headers } = await api.request('GET', '/api/lottery/sa_lotto');
+    entry.value = Object.assign({}, entry.value, { jackpot: Object.assign({}, entry.value.jackpot, { amount: 1 }) });
+    const response = await api.request('GET', '/api/lottery/sa_lotto', { headers: { 'If-None-Match': headers.etag } });
+    assert.strictEqual(response.status, 304);
+  });
+});
@@ -0,0 +1,97 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  extractFromLottoland, applyConsensus, consensusConflicts, historyStore, cache, sourceHealth, rateLimiter, SOURCE_ADAPTERS
+} = require('../server');
+const { startApi } = require('./support/api');
+
+const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'samples', 'www.lottoland.co.za', 'lotto-results-history.html'), 'utf8');
+
+describe('applyConsensus', () => {
+  // The sample SA Lotto page as extracted by a named source
+  async function fromSource(source, fields) {
+    const lotteryData = await extractFromLottoland(page, 'sa_lotto');
+    lotteryData.provenance.source = source;
+    return Object.assign(lotteryData, fields);
+  }
+  
+  beforeEach(() => {
+    consensusConflicts.entries = [];
+  });
+  
+  it('confirms a draw another source lists in a different order', async () => {
+    const lotteryData = await fromSource('lottoland.co.za');
+    const other = await fromSource('lotteryextreme.com', { winningNumbers: [45, 38, 27, 19, 11, 4] });
+    applyConsensus('sa_lotto', lotteryData, [other]);
+    
+    assert.strictEqual(lotteryData.confidence, 'confirmed');
+    assert.deepStrictEqual(lotteryData.provenance.confirmedBy, ['lotteryextreme.com']);
+    assert.deepStrictEqual(lotteryData.winningNumbers, [4, 11, 19, 27, 38, 45]);
+  });
+  
+  it('withholds a draw the sources disagree on', async () => {
+    const lotteryData = await fromSource('lottoland.co.za');
+    const other = await fromSource('lotteryextreme.com', { bonusNumbers: [9] });
+    applyConsensus('sa_lotto', lotteryData, [other]);
+    
+    assert.strictEqual(lotteryData.confidence, 'conflict');
+    assert.deepStrictEqual(lotteryData.winningNumbers, []);
+    assert.strictEqual(consensusConflicts.entries.length, 1);
+  });
+  
+  it('serves a draw only one source reports, marked single-source', async () => {
+    const lotteryData = await fromSource('lottoland.co.za');
+    applyConsensus('sa_lotto', lotteryData, []);
+    
+    assert.strictEqual(lotteryData.confidence, 'single-source');
+    assert.deepStrictEqual(lotteryData.winningNumbers, [4, 11, 19, 27, 38, 45]);
+    assert.strictEqual(lotteryData.provenance.fields.winningNumbers.type, 'scraped');
+  });
+});
+
+describe('scraping with the fallback source down', () => {
+  const api = startApi();
+  const previous = {
+    history: { file: historyStore.file, draws: historyStore.draws, loaded: historyStore.loaded },
+    entries: cache.entries,
+    sources: sourceHealth.sources,
+    adapters: Object.values(SOURCE_ADAPTERS).map(adapter => ({ fetch: adapter.fetch, extract: adapter.extract }))
+  };
+  let dir;
+  
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consensus-'));
+    Object.assign(historyStore, { file: path.join(dir, 'draw-history.jsonl'), draws: {}, loaded: true });
+    cache.entries = new Map();
+    sourceHealth.sources = {};
+    rateLimiter.buckets.clear();
+    // The preferred source reports the sample SA Lotto page, the fallback fails
+    for (const adapter of Object.values(SOURCE_ADAPTERS)) {
+      adapter.fetch = () => (adapter.id === 'lottoland' ?
+        Promise.resolve(page) :
+        Promise.reject(Object.assign(new Error('Failed to load page, status code: 503'), { status: 503 })));
+      adapter.extract = (html, lotteryType) => extractFromLottoland(html, lotteryType);
+    }
+  });
+  
+  after(async () => {
+    await historyStore.writeQueue;
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.assign(historyStore, previous.history);
+    cache.entries = previous.entries;
+    sourceHealth.sources = previous.sources;
+    Object.values(SOURCE_ADAPTERS).forEach((adapter, index) => Object.assign(adapter, previous.adapters[index]));
+    await api.close();
+  });
+  
+  it('serves the result of the source that answered', async () => {
+    const response = await api.request('GET', '/api/lottery/sa_lotto');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.confidence, 'single-source');
+    assert.deepStrictEqual(response.body.winningNumbers, [4, 11, 19, 27, 38, 45]);
+    assert.deepStrictEqual(response.body.provenance.confirmedBy, []);
+  });
+});
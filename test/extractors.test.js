@@ -0,0 +1,236 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { fetchHTML, htmlFixtures, parseDrawDate, validateDraw, SOURCE_ADAPTERS } = require('../server');
+
+// Hand-written pages standing in for the sources' markup. No page has been recorded
+// from a source yet; the samples are kept apart from the recorded fixtures so replay
+// mode never serves them as a source's page.
+const SAMPLES_DIR = path.join(__dirname, 'fixtures', 'samples');
+
+// Every recorded page in the fixtures directory, and every sample, has an
+// <page>.expected.json next to it naming the lottery and source adapter, plus the
+// values the extractor should find. Fields left out of the expectations are not checked.
+// A fixtures directory that does not exist yet holds no files.
+function findFixtureFiles(dir, suffix) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((files, entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return files.concat(findFixtureFiles(file, suffix));
+    }
+    return file.endsWith(suffix) ? files.concat(file) : files;
+  }, []);
+}
+
+// Divisions reduced to the fields the expectations list, with the prize in minor units
+function summariseDivisions(divisions) {
+  return (divisions || []).map(division => ({
+    division: division.division,
+    label: division.label,
+    match: division.match,
+    winners: division.winners,
+    prize: division.prize.amount
+  }));
+}
+
+// Check what the extractor found in a page against its expectations
+function describeExtraction(expected, extract) {
+  let lotteryData;
+  before(async () => {
+    lotteryData = await extract();
+  });
+  
+  if (expected.winningNumbers) {
+    it('extracts the winning numbers', () => {
+      assert.deepStrictEqual(lotteryData.winningNumbers, expected.winningNumbers);
+      assert.deepStrictEqual(lotteryData.bonusNumbers, expected.bonusNumbers || []);
+    });
+  }
+  
+  if (expected.drawNumber) {
+    it('extracts the draw number', () => {
+      assert.strictEqual(lotteryData.drawNumber, expected.drawNumber);
+    });
+  }
+  
+  if (expected.lastDrawDate) {
+    it('extracts the draw date', () => {
+      assert.strictEqual(lotteryData.lastDrawDate, expected.lastDrawDate);
+    });
+  }
+  
+  if (expected.jackpot) {
+    it('extracts the jackpot', () => {
+      for (const key of Object.keys(expected.jackpot)) {
+        assert.deepStrictEqual(lotteryData.jackpot[key], expected.jackpot[key], `jackpot.${key}`);
+      }
+    });
+  }
+  
+  if (expected.divisions) {
+    it('extracts the prize divisions', () => {
+      assert.deepStrictEqual(summariseDivisions(lotteryData.divisions), expected.divisions);
+    });
+  }
+  
+  if (expected.rollover !== undefined) {
+    it('detects whether the jackpot rolled over', () => {
+      assert.strictEqual(lotteryData.rollover, expected.rollover);
+    });
+  }
+  
+  if (expected.historicalResults) {
+    it('extracts the past results', () => {
+      const results = lotteryData.historicalResults.slice(0, expected.historicalResults.length).map(result => ({
+        date: result.date,
+        drawNumber: result.drawNumber,
+        numbers: result.numbers,
+        bonusNumbers: result.bonusNumbers,
+        divisions: summariseDivisions(result.divisions),
+        rollover: result.rollover
+      }));
+      assert.deepStrictEqual(results, expected.historicalResults);
+    });
+  }
+  
+  if (expected.winningNumbers) {
+    it('extracts results that pass validation', () => {
+      const latest = { date: lotteryData.lastDrawDate, numbers: lotteryData.winningNumbers, bonusNumbers: lotteryData.bonusNumbers };
+      for (const draw of [latest].concat(expected.historicalResults ? lotteryData.historicalResults : [])) {
+        assert.deepStrictEqual(validateDraw(expected.lottery, draw), [], `draw of ${draw.date}`);
+      }
+    });
+  }
+  
+  if (expected.missing) {
+    it('reports the fields it could not find', () => {
+      assert.deepStrictEqual(lotteryData.provenance.extractionReport.missing, expected.missing);
+    });
+  }
+  
+  if (expected.provenance) {
+    it('records where each field came from', () => {
+      for (const [field, type] of Object.entries(expected.provenance)) {
+        assert.strictEqual(lotteryData.provenance.fields[field].type, type, `provenance of ${field}`);
+      }
+    });
+  }
+}
+
+describe('source extractors (recorded fixtures)', () => {
+  const previousMode = htmlFixtures.mode;
+  before(() => {
+    htmlFixtures.mode = 'replay';
+  });
+  after(() => {
+    htmlFixtures.mode = previousMode;
+  });
+  
+  it('has expectations for every recorded page', () => {
+    for (const file of findFixtureFiles(htmlFixtures.dir, '.html')) {
+      assert.ok(fs.existsSync(file.replace(/\.html$/, '.expected.json')), `missing expectations for ${file}`);
+    }
+  });
+  
+  for (const expectedFile of findFixtureFiles(htmlFixtures.dir, '.expected.json')) {
+    const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+    
+    describe(`${expected.source} ${expected.lottery}`, () => {
+      describeExtraction(expected, async () => {
+        const adapter = SOURCE_ADAPTERS[expected.source];
+        const url = adapter.resolveUrl(expected.lottery);
+        assert.strictEqual(htmlFixtures.pathFor(url), expectedFile.replace(/\.expected\.json$/, '.html'));
+        const html = await adapter.fetch(url);
+        return adapter.extract(html, expected.lottery);
+      });
+    });
+  }
+});
+
+describe('source extractors (hand-written samples)', () => {
+  it('has expectations for every sample page', () => {
+    for (const file of findFixtureFiles(SAMPLES_DIR, '.html')) {
+      assert.ok(fs.existsSync(file.replace(/\.html$/, '.expected.json')), `missing expectations for ${file}`);
+    }
+  });
+  
+  for (const expectedFile of findFixtureFiles(SAMPLES_DIR, '.expected.json')) {
+    const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+    
+    describe(`${expected.source} ${expected.lottery} (${path.relative(SAMPLES_DIR, expectedFile).replace(/\.expected\.json$/, '')})`, () => {
+      describeExtraction(expected, () => {
+        const html = fs.readFileSync(expectedFile.replace(/\.expected\.json$/, '.html'), 'utf8');
+        return SOURCE_ADAPTERS[expected.source].extract(html, expected.lottery);
+      });
+    });
+  }
+  
+  it('leaves out prize rows it cannot tie to a prize tier, and reports them', async () => {
+    const html = '<div class="latest"><table class="prizes"><tbody>' +
+      '<tr><td>Division 1</td><td>5 + Powerball</td><td>0</td><td>R0</td></tr>' +
+      '<tr><td>Division 2</td><td>5 numbers</td><td>2</td><td>R181,902.40</td></tr>' +
+      '<tr><td>Bonus draw</td><td>Lucky ticket</td><td>12</td><td>R1,000.00</td></tr>' +
+      '<tr><td>Division 2b</td><td>5 numbers</td><td>1</td><td>R90,000.00</td></tr>' +
+      '</tbody></table></div>';
+    const lotteryData = await SOURCE_ADAPTERS.lotteryextreme.extract(html, 'sa_powerball');
+    assert.deepStrictEqual(summariseDivisions(lotteryData.divisions).map(division => division.label), ['Division 1', 'Division 2']);
+    assert.deepStrictEqual(lotteryData.provenance.extractionReport.droppedDivisions, [
+      { label: 'Bonus draw', match: 'Lucky ticket', reason: 'Matches none of the game\'s prize tiers' },
+      { label: 'Division 2b', match: '5 numbers', reason: 'Division 2 was already given by an earlier row' }
+    ]);
+  });
+  
+  it('prefers the datetime attribute over the date written on the page', async () => {
+    const html = '<div class="latest-draw"><p class="draw-date">Updated 13 Oct 2024 with the draw of ' +
+      '<time datetime="2024-10-12">Saturday</time></p></div>';
+    const lotteryData = await SOURCE_ADAPTERS.lottoland.extract(html, 'sa_lotto');
+    assert.strictEqual(lotteryData.lastDrawDate, '2024-10-12');
+  });
+});
+
+describe('parseDrawDate', () => {
+  it('reads the date formats used by the sources', () => {
+    assert.strictEqual(parseDrawDate('Sat 12 Oct 2024'), '2024-10-12');
+    assert.strictEqual(parseDrawDate('Saturday, 12th October 2024'), '2024-10-12');
+    assert.strictEqual(parseDrawDate('October 12, 2024'), '2024-10-12');
+    assert.strictEqual(parseDrawDate('Draw date: 12.10.2024'), '2024-10-12');
+    assert.strictEqual(parseDrawDate('2024-10-12'), '2024-10-12');
+  });
+  
+  it('reads all-numeric dates in the given order', () => {
+    assert.strictEqual(parseDrawDate('10/12/2024'), '2024-12-10');
+    assert.strictEqual(parseDrawDate('10/12/2024', 'MDY'), '2024-10-12');
+  });
+  
+  it('rejects text without a valid date', () => {
+    assert.strictEqual(parseDrawDate('Division 1'), null);
+    assert.strictEqual(parseDrawDate('31.02.2024'), null);
+  });
+});
+
+describe('fetchHTML replay mode', () => {
+  const previous = { mode: htmlFixtures.mode, dir: htmlFixtures.dir };
+  before(async () => {
+    // A page saved as record mode would, in a directory of its own
+    Object.assign(htmlFixtures, { mode: 'replay', dir: fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-')) });
+    await htmlFixtures.save('https://www.lottoland.co.za/lotto/results-history', '<title>SA Lotto | Lottoland</title>');
+  });
+  after(() => {
+    fs.rmSync(htmlFixtures.dir, { recursive: true, force: true });
+    Object.assign(htmlFixtures, previous);
+  });
+  
+  it('serves recorded pages without using the network', async () => {
+    const html = await fetchHTML('https://www.lottoland.co.za/lotto/results-history');
+    assert.ok(html.includes('SA Lotto | Lottoland'));
+  });
+  
+  it('fails for pages that were never recorded', async () => {
+    await assert.rejects(fetchHTML('https://www.lottoland.co.za/unknown-game/results-history'), /No fixture recorded/);
+  });
+});
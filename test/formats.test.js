@@ -0,0 +1,177 @@
+const assert = require('assert');
+
+const { formatHistoryCsv, formatResultsFeed, formatDrawCalendar, escapeIcsText, historyStore, rateLimiter } = require('../server');
+const { startApi } = require('./support/api');
+
+// Stored SA Lotto draws, one every few days going back from 12 October 2024
+function storedDraws(count) {
+  const draws = {};
+  for (let i = 0; i < count; i++) {
+    const date = new Date(Date.UTC(2024, 9, 12) - i * 3.5 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    draws[date] = {
+      date,
+      drawNumber: 2478 - i,
+      numbers: [4, 11, 19, 27, 38, 45],
+      bonusNumbers: [8],
+      divisions: [],
+      jackpot: null,
+      rollover: null,
+      source: 'lottoland',
+      recordedAt: '2024-10-12T19:00:00.000Z'
+    };
+  }
+  return draws;
+}
+
+describe('formatHistoryCsv', () => {
+  it('writes one row per draw with a column pair for every division', () => {
+    const csv = formatHistoryCsv('sa_lotto', [{
+      date: '2024-10-12',
+      drawNumber: 2478,
+      numbers: [4, 11, 19, 27, 38, 45],
+      bonusNumbers: [8],
+      jackpot: { amount: 2500000000, currency: 'ZAR' },
+      rollover: true,
+      divisions: [{ tier: 1, winners: 0, prize: null }, { tier: 2, winners: 1, prize: { amount: 31254020, currency: 'ZAR' } }]
+    }]);
+    const [header, row] = csv.split('\r\n');
+    
+    assert.strictEqual(header.split(',').length, 7 + 2 * 8);
+    assert.strictEqual(row, '2024-10-12,2478,4 11 19 27 38 45,8,25000000.00,ZAR,true,0,,1,312540.20' + ','.repeat(12));
+    assert.ok(csv.endsWith('\r\n'));
+  });
+});
+
+describe('formatDrawCalendar', () => {
+  const draws = [{ date: '2024-10-12', utc: '2024-10-12T18:30:00.000Z' }];
+  
+  it('publishes each draw as a UTC event with a stable UID', () => {
+    const ics = formatDrawCalendar('sa_lotto', draws, [], 'http://localhost:3000');
+    
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+    assert.ok(ics.includes('\r\nUID:sa_lotto-2024-10-12@localhost\r\n'));
+    assert.ok(ics.includes('\r\nDTSTART:20241012T183000Z\r\n'));
+    assert.ok(ics.includes('\r\nSUMMARY:SA Lotto draw\r\n'));
+  });
+  
+  it('marks cancelled draws and folds lines longer than 75 octets', () => {
+    const ics = formatDrawCalendar('sa_lotto', [], ['2024-12-25'], 'http://localhost:3000');
+    
+    assert.ok(ics.includes('\r\nDTSTART:20241225T183000Z\r\n'));
+    assert.ok(ics.includes('\r\nSTATUS:CANCELLED\r\n'));
+    ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+    assert.ok(ics.includes('\r\n '));
+  });
+});
+
+describe('escapeIcsText', () => {
+  it('escapes backslashes before the characters it escapes with them', () => {
+    assert.strictEqual(escapeIcsText('C:\\draws; Sat, Wed\nnext'), 'C:\\\\draws\\; Sat\\, Wed\\nnext');
+  });
+});
+
+describe('formatResultsFeed', () => {
+  const draws = Object.values(storedDraws(2));
+  
+  it('writes an RSS item per draw linking to the draw', () => {
+    const rss = formatResultsFeed('sa_lotto', draws, 'http://localhost:3000', 'rss');
+    
+    assert.ok(rss.includes('<rss version="2.0"'));
+    assert.strictEqual(rss.split('<item>').length - 1, 2);
+    assert.ok(rss.includes('<title>SA Lotto results for 2024-10-12: 4 11 19 27 38 45 + 8</title>'));
+    assert.ok(rss.includes('<guid isPermaLink="true">http://localhost:3000/api/lottery/sa_lotto/draws/2024-10-12</guid>'));
+    assert.ok(rss.includes('<pubDate>Sat, 12 Oct 2024 18:30:00 GMT</pubDate>'));
+  });
+  
+  it('writes an Atom entry per draw with escaped text', () => {
+    const atom = formatResultsFeed('sa_lotto', draws, 'http://localhost:3000?a=1&b=2', 'atom');
+    
+    assert.ok(atom.includes('<feed xmlns="http://www.w3.org/2005/Atom">'));
+    assert.strictEqual(atom.split('<entry>').length - 1, 2);
+    assert.ok(atom.includes('<updated>2024-10-12T18:30:00.000Z</updated>'));
+    assert.ok(atom.includes('http://localhost:3000?a=1&amp;b=2'));
+    assert.ok(!/&(?!amp;|lt;|gt;|apos;|quot;)/.test(atom));
+  });
+});
+
+describe('history formats API', () => {
+  const api = startApi();
+  const previous = { draws: historyStore.draws, loaded: historyStore.loaded };
+  
+  beforeEach(() => {
+    Object.assign(historyStore, { draws: { sa_lotto: storedDraws(600) }, loaded: true });
+  });
+  
+  after(async () => {
+    Object.assign(historyStore, previous);
+    await api.close();
+  });
+  
+  it('serves the history in the format the Accept header prefers', async () => {
+    const json = await api.request('GET', '/api/lottery/sa_lotto/history');
+    assert.match(json.headers['content-type'], /^application\/json/);
+    assert.strictEqual(json.body.draws.length, 50);
+    
+    const csv = await api.request('GET', '/api/lottery/sa_lotto/history', { headers: { Accept: 'text/csv' } });
+    assert.match(csv.headers['content-type'], /^text\/csv/);
+    assert.ok(csv.text.startsWith('date,draw_number,'));
+    
+    const rss = await api.request('GET', '/api/lottery/sa_lotto/history', { headers: { Accept: 'application/rss+xml, application/json;q=0.5' } });
+    assert.match(rss.headers['content-type'], /^application\/rss\+xml/);
+    assert.match(rss.headers.vary, /Accept/);
+  });
+  
+  it('answers 406 when no history format is acceptable', async () => {
+    const response = await api.request('GET', '/api/lottery/sa_lotto/history', { headers: { Accept: 'image/png' } });
+    assert.strictEqual(response.status, 406);
+  });
+  
+  it('serves the feed as RSS unless Atom is asked for', async () => {
+    const rss = await api.request('GET', '/api/lottery/sa_lotto/feed.xml');
+    assert.match(rss.headers['content-type'], /^application\/rss\+xml/);
+    assert.strictEqual(rss.text.split('<item>').length - 1, 20);
+    
+    const negotiated = await api.request('GET', '/api/lottery/sa_lotto/feed.xml', { headers: { Accept: 'application/atom+xml' } });
+    assert.match(negotiated.headers['content-type'], /^application\/atom\+xml/);
+    
+    const chosen = await api.request('GET', '/api/lottery/sa_lotto/feed.xml?format=atom', { headers: { Accept: 'application/rss+xml' } });
+    assert.ok(chosen.text.includes('<feed xmlns="http://www.w3.org/2005/Atom">'));
+  });
+  
+  it('downloads every draw in the range, not just one page', async () => {
+    const csv = await api.request('GET', '/api/lottery/sa_lotto/history.csv');
+    assert.strictEqual(csv.status, 200);
+    assert.match(csv.headers['content-disposition'], /attachment; filename="sa_lotto-history.csv"/);
+    assert.strictEqual(csv.text.trim().split('\r\n').length, 601);
+    
+    const json = await api.request('GET', '/api/lottery/sa_lotto/history.json');
+    assert.strictEqual(json.body.draws.length, 600);
+    assert.strictEqual(json.body.nextCursor, null);
+    
+    const range = await api.request('GET', '/api/lottery/sa_lotto/history.json?from=2024-10-01&to=2024-10-12');
+    assert.deepStrictEqual(range.body.draws.map(draw => draw.date), ['2024-10-12', '2024-10-08', '2024-10-05', '2024-10-01']);
+  });
+  
+  it('answers a download the client already has with 304', async () => {
+    const { headers } = await api.request('GET', '/api/lottery/sa_lotto/history.csv');
+    const response = await api.request('GET', '/api/lottery/sa_lotto/history.csv', { headers: { 'If-None-Match': headers.etag } });
+    assert.strictEqual(response.status, 304);
+    assert.strictEqual(response.text, '');
+  });
+});
+
+describe('draw schedule API', () => {
+  const api = startApi();
+  
+  before(() => rateLimiter.buckets.clear());
+  
+  after(() => api.close());
+  
+  it('says whether the game has its holiday exceptions listed', async () => {
+    const listed = await api.request('GET', '/api/lottery/italy_superenalotto/schedule');
+    assert.strictEqual(listed.body.exceptionsListed, true);
+    const unlisted = await api.request('GET', '/api/lottery/sa_lotto/schedule');
+    assert.strictEqual(unlisted.body.exceptionsListed, false);
+    assert.deepStrictEqual(unlisted.body.cancelled, []);
+  });
+});
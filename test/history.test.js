@@ -0,0 +1,66 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { historyStore, consensusConflicts } = require('../server');
+
+describe('historyStore', () => {
+  const previous = { file: historyStore.file, draws: historyStore.draws, loaded: historyStore.loaded };
+  let dir;
+  
+  // A scraped SA Lotto draw of 12 October 2024
+  function draw(fields) {
+    return Object.assign({
+      date: '2024-10-12',
+      drawNumber: null,
+      numbers: [4, 11, 19, 27, 38, 45],
+      bonusNumbers: [8],
+      divisions: [],
+      jackpot: null,
+      source: 'lottoland'
+    }, fields);
+  }
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    Object.assign(historyStore, { file: path.join(dir, 'draw-history.jsonl'), draws: {}, loaded: true });
+    consensusConflicts.entries = [];
+  });
+  
+  afterEach(async () => {
+    await historyStore.writeQueue;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  after(() => {
+    Object.assign(historyStore, previous);
+  });
+  
+  it('treats the same balls listed in another order as the same draw', () => {
+    assert.strictEqual(historyStore.save('sa_lotto', draw()), 'created');
+    assert.strictEqual(historyStore.save('sa_lotto', draw({ numbers: [45, 4, 38, 11, 27, 19], drawNumber: 2478, source: 'lotteryextreme' })), 'updated');
+    assert.strictEqual(historyStore.list('sa_lotto')[0].drawNumber, 2478);
+    assert.deepStrictEqual(consensusConflicts.entries, []);
+  });
+  
+  it('keeps the stored draw and lists a source disagreeing with it for review, once', () => {
+    historyStore.save('sa_lotto', draw());
+    const other = draw({ numbers: [4, 11, 19, 27, 38, 46], source: 'lotteryextreme' });
+    assert.strictEqual(historyStore.save('sa_lotto', other), null);
+    assert.strictEqual(historyStore.save('sa_lotto', other), null);
+    
+    assert.deepStrictEqual(historyStore.list('sa_lotto')[0].numbers, [4, 11, 19, 27, 38, 45]);
+    assert.strictEqual(consensusConflicts.entries.length, 1);
+    assert.deepStrictEqual(consensusConflicts.entries[0].sources.map(source => [source.source, source.numbers]), [
+      ['lottoland', [4, 11, 19, 27, 38, 45]],
+      ['lotteryextreme', [4, 11, 19, 27, 38, 46]]
+    ]);
+  });
+  
+  it('lets an admin override replace the stored draw', () => {
+    historyStore.save('sa_lotto', draw());
+    assert.strictEqual(historyStore.save('sa_lotto', draw({ numbers: [4, 11, 19, 27, 38, 46], source: 'admin' }), { replace: true }), 'updated');
+    assert.deepStrictEqual(historyStore.list('sa_lotto')[0].numbers, [4, 11, 19, 27, 38, 46]);
+  });
+});
@@ -0,0 +1,89 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { metrics, cache, sourceHealth, rateLimiter, extractFromLottoland, SOURCE_ADAPTERS } = require('../server');
+const { startApi } = require('./support/api');
+
+const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'samples', 'www.lottoland.co.za', 'lotto-results-history-classic.html'), 'utf8');
+
+describe('metrics', () => {
+  it('renders counters with escaped labels in the Prometheus text format', () => {
+    metrics.define('test_events_total', 'counter', 'Events seen in tests');
+    metrics.increment('test_events_total', { name: 'say "hi"' });
+    metrics.increment('test_events_total', { name: 'say "hi"' }, 2);
+    
+    const text = metrics.render();
+    assert.ok(text.includes('# TYPE test_events_total counter\n'));
+    assert.ok(text.includes('test_events_total{name="say \\"hi\\""} 3\n'));
+  });
+  
+  it('renders histograms as cumulative buckets with a sum and count', () => {
+    metrics.define('test_duration_seconds', 'histogram', 'Durations seen in tests');
+    metrics.observe('test_duration_seconds', { host: 'a' }, 20);
+    metrics.observe('test_duration_seconds', { host: 'a' }, 2000);
+    
+    const text = metrics.render();
+    assert.ok(text.includes('test_duration_seconds_bucket{host="a",le="0.025"} 1\n'));
+    assert.ok(text.includes('test_duration_seconds_bucket{host="a",le="2.5"} 2\n'));
+    assert.ok(text.includes('test_duration_seconds_bucket{host="a",le="+Inf"} 2\n'));
+    assert.ok(text.includes('test_duration_seconds_sum{host="a"} 2.02\n'));
+    assert.ok(text.includes('test_duration_seconds_count{host="a"} 2\n'));
+  });
+  
+  it('adds gauges computed at render time', () => {
+    const text = metrics.render({ test_temperature: { help: 'A gauge', series: [{ labels: {}, value: 21 }] } });
+    assert.ok(text.includes('# TYPE test_temperature gauge\ntest_temperature 21\n'));
+  });
+});
+
+describe('metrics endpoint', () => {
+  const api = startApi();
+  
+  after(() => api.close());
+  
+  it('is refused without the admin token', async () => {
+    const response = await api.request('GET', '/metrics');
+    assert.strictEqual(response.status, 403);
+    assert.ok(!response.text.includes('lottery_cache_requests_total'));
+  });
+});
+
+describe('cache lookup metrics', () => {
+  const api = startApi();
+  const previous = {
+    entries: cache.entries,
+    sources: sourceHealth.sources,
+    fetches: Object.values(SOURCE_ADAPTERS).map(adapter => adapter.fetch)
+  };
+  const count = (result) => metrics.series('lottery_cache_requests_total', { lottery: 'sa_lotto', result }).value;
+  
+  before(() => {
+    rateLimiter.buckets.clear();
+    sourceHealth.sources = {};
+    for (const adapter of Object.values(SOURCE_ADAPTERS)) {
+      adapter.fetch = () => Promise.reject(Object.assign(new Error('Failed to load page, status code: 503'), { status: 503 }));
+    }
+  });
+  
+  after(async () => {
+    cache.entries = previous.entries;
+    sourceHealth.sources = previous.sources;
+    Object.values(SOURCE_ADAPTERS).forEach((adapter, index) => {
+      adapter.fetch = previous.fetches[index];
+    });
+    await api.close();
+  });
+  
+  it('counts a lookup that falls back to stale data once, as stale', async () => {
+    cache.entries = new Map();
+    const expired = Date.now() - 24 * 60 * 60 * 1000;
+    cache.remember('sa_lotto', { value: await extractFromLottoland(page, 'sa_lotto'), storedAt: expired, maxAge: 60000 });
+    const before = { hit: count('hit'), miss: count('miss'), stale: count('stale') };
+    
+    const response = await api.request('GET', '/api/lottery/sa_lotto');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.stale, true);
+    assert.deepStrictEqual({ hit: count('hit'), miss: count('miss'), stale: count('stale') }, Object.assign(before, { stale: before.stale + 1 }));
+  });
+});
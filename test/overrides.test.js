@@ -0,0 +1,102 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { extractFromLottoland, buildDrawOverride, applyDrawOverrides } = require('../server');
+
+const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'samples', 'www.lottoland.co.za', 'lotto-results-history.html'), 'utf8');
+
+// A valid override for an SA Lotto draw
+function override(date, fields) {
+  const { override: built, reasons } = buildDrawOverride('sa_lotto', date, Object.assign({
+    numbers: [1, 2, 3, 4, 5, 6],
+    bonusNumbers: [7],
+    reason: 'Corrected from the official results'
+  }, fields), 'alice');
+  assert.strictEqual(reasons, undefined);
+  return built;
+}
+
+describe('buildDrawOverride', () => {
+  it('checks the draw against the game rules and asks for a reason', () => {
+    const { reasons } = buildDrawOverride('sa_lotto', '2024-10-12', { numbers: [1, 2, 3, 4, 5], bonusNumbers: [7] }, 'alice');
+    assert.deepStrictEqual(reasons, ['numbers: expected 6 number(s), found 5', 'reason: say why the draw is being entered or corrected']);
+  });
+  
+  it('labels divisions by tier and parses prizes and the jackpot', () => {
+    const built = override('2024-10-12', {
+      jackpot: 'R30,000,000',
+      divisions: [{ tier: 2, winners: 2, prize: 'R100,000' }, { tier: 1, winners: 0, prize: null }]
+    });
+    assert.strictEqual(built.jackpot.amount, 3000000000);
+    assert.deepStrictEqual(built.divisions.map(division => [division.division, division.match, division.winners]), [
+      ['Division 1', '6 correct numbers', 0],
+      ['Division 2', '5 correct + 1 Bonus Ball', 2]
+    ]);
+    assert.strictEqual(built.rollover, true);
+    assert.strictEqual(built.updatedBy, 'alice');
+  });
+});
+
+describe('applyDrawOverrides', () => {
+  let lotteryData;
+  
+  beforeEach(async () => {
+    lotteryData = await extractFromLottoland(page, 'sa_lotto');
+  });
+  
+  it('keeps a pinned override over the scraped draw and marks it in the provenance', () => {
+    const superseded = applyDrawOverrides(lotteryData, [override('2024-10-12', { pinned: true })]);
+    
+    assert.deepStrictEqual(superseded, []);
+    assert.deepStrictEqual(lotteryData.winningNumbers, [1, 2, 3, 4, 5, 6]);
+    assert.strictEqual(lotteryData.confidence, 'override');
+    assert.strictEqual(lotteryData.provenance.fields.winningNumbers.type, 'override');
+    assert.strictEqual(lotteryData.provenance.fields.winningNumbers.updatedBy, 'alice');
+    assert.deepStrictEqual(lotteryData.provenance.overrides.map(entry => [entry.date, entry.scope]), [['2024-10-12', 'latest']]);
+  });
+  
+  it('retires an unpinned override once the sources report the draw with the same numbers', () => {
+    const unpinned = override('2024-10-12', { numbers: [45, 38, 27, 19, 11, 4], bonusNumbers: lotteryData.bonusNumbers });
+    assert.deepStrictEqual(applyDrawOverrides(lotteryData, [unpinned]), [unpinned]);
+    assert.deepStrictEqual(lotteryData.winningNumbers, [4, 11, 19, 27, 38, 45]);
+    assert.strictEqual(lotteryData.provenance.fields.winningNumbers.type, 'scraped');
+  });
+  
+  it('keeps an unpinned override the sources report different numbers for', () => {
+    assert.deepStrictEqual(applyDrawOverrides(lotteryData, [override('2024-10-12')]), []);
+    assert.deepStrictEqual(lotteryData.winningNumbers, [1, 2, 3, 4, 5, 6]);
+    assert.strictEqual(lotteryData.provenance.fields.winningNumbers.type, 'override');
+    
+    const past = override('2024-10-09');
+    assert.deepStrictEqual(applyDrawOverrides(lotteryData, [past]), []);
+    assert.deepStrictEqual(lotteryData.historicalResults.find(result => result.date === '2024-10-09').numbers, [1, 2, 3, 4, 5, 6]);
+  });
+  
+  it('changes nothing when applied again to data it was applied to', () => {
+    const overrides = [override('2024-10-09', { pinned: true }), override('2024-10-16', { drawNumber: 2479 })];
+    applyDrawOverrides(lotteryData, overrides);
+    const applied = JSON.parse(JSON.stringify(lotteryData));
+    applyDrawOverrides(lotteryData, overrides);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(lotteryData)), applied);
+  });
+  
+  it('publishes a draw the sources have missed, moving the latest draw into the history', () => {
+    applyDrawOverrides(lotteryData, [override('2024-10-16', { drawNumber: 2479 })]);
+    
+    assert.strictEqual(lotteryData.lastDrawDate, '2024-10-16');
+    assert.strictEqual(lotteryData.drawNumber, 2479);
+    assert.deepStrictEqual(lotteryData.divisions, []);
+    assert.strictEqual(lotteryData.provenance.fields.divisions.type, 'missing');
+    assert.deepStrictEqual(lotteryData.historicalResults[0].numbers, [4, 11, 19, 27, 38, 45]);
+  });
+  
+  it('corrects a past draw in the history', () => {
+    applyDrawOverrides(lotteryData, [override('2024-10-09', { pinned: true })]);
+    
+    const corrected = lotteryData.historicalResults.find(result => result.date === '2024-10-09');
+    assert.deepStrictEqual(corrected.numbers, [1, 2, 3, 4, 5, 6]);
+    assert.strictEqual(corrected.override.scope, 'history');
+    assert.deepStrictEqual(lotteryData.winningNumbers, [4, 11, 19, 27, 38, 45]);
+  });
+});
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { extractFromLottoland, getStrictModeError } = require('../server');
+
+const page = fs.readFileSync(path.join(__dirname, 'fixtures', 'samples', 'www.lottoland.co.za', 'lotto-results-history.html'), 'utf8');
+
+describe('strict mode', () => {
+  let lotteryData;
+  
+  beforeEach(async () => {
+    lotteryData = await extractFromLottoland(page, 'sa_lotto');
+  });
+  
+  it('serves complete scraped data', () => {
+    assert.strictEqual(getStrictModeError(lotteryData, true), null);
+  });
+  
+  it('refuses placeholder fields', () => {
+    lotteryData.provenance.fields.jackpot = { type: 'synthetic', reason: 'No jackpot found on the source page, placeholder amount used' };
+    assert.deepStrictEqual(getStrictModeError(lotteryData, true).fields, {
+      jackpot: 'No jackpot found on the source page, placeholder amount used'
+    });
+    assert.strictEqual(getStrictModeError(lotteryData, false), null);
+  });
+  
+  it('refuses results without the draw', () => {
+    const reason = 'Sources disagree on this draw, the result is withheld until they agree';
+    for (const field of ['lastDrawDate', 'winningNumbers', 'bonusNumbers']) {
+      lotteryData.provenance.fields[field] = { type: 'missing', reason };
+    }
+    lotteryData.provenance.fields.drawNumber = { type: 'missing' };
+    assert.deepStrictEqual(getStrictModeError(lotteryData, true).fields, {
+      lastDrawDate: reason,
+      winningNumbers: reason,
+      bonusNumbers: reason
+    });
+  });
+});
+
+describe('past results', () => {
+  it('are left empty rather than made up when the page lists none', async () => {
+    const lotteryData = await extractFromLottoland(page.replace(/<section class="results-history">[\s\S]*?<\/section>/, ''), 'sa_lotto');
+    assert.deepStrictEqual(lotteryData.historicalResults, []);
+    assert.deepStrictEqual(lotteryData.provenance.fields.historicalResults, { type: 'missing', reason: 'No past results found on the source page' });
+    assert.strictEqual(getStrictModeError(lotteryData, true), null);
+  });
+});
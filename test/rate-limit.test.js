@@ -0,0 +1,29 @@
+const assert = require('assert');
+
+const { rateLimiter } = require('../server');
+
+describe('rateLimiter', () => {
+  const limits = { requestsPerMinute: 60, burst: 3 };
+  
+  beforeEach(() => rateLimiter.buckets.clear());
+  
+  it('allows a burst and then refuses with the time until the next token', () => {
+    const now = 1000000;
+    assert.deepStrictEqual([1, 2, 3].map(() => rateLimiter.take('ip:a', limits, now).remaining), [2, 1, 0]);
+    assert.deepStrictEqual(rateLimiter.take('ip:a', limits, now), { allowed: false, remaining: 0, retryAfter: 1 });
+  });
+  
+  it('refills at the configured rate, up to the burst size', () => {
+    const now = 1000000;
+    [1, 2, 3].forEach(() => rateLimiter.take('ip:a', limits, now));
+    assert.strictEqual(rateLimiter.take('ip:a', limits, now + 1000).allowed, true);
+    assert.strictEqual(rateLimiter.take('ip:a', limits, now + 1000).allowed, false);
+    assert.strictEqual(rateLimiter.take('ip:a', limits, now + 60 * 60 * 1000).remaining, 2);
+  });
+  
+  it('keeps a separate bucket per client', () => {
+    const now = 1000000;
+    [1, 2, 3].forEach(() => rateLimiter.take('ip:a', limits, now));
+    assert.strictEqual(rateLimiter.take('key:b', limits, now).allowed, true);
+  });
+});
@@ -0,0 +1,135 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { subscriptionStore, apiKeyStore, rateLimiter, isPublicAddress } = require('../server');
+const { startApi } = require('./support/api');
+
+describe('isPublicAddress', () => {
+  it('accepts public addresses', () => {
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:2800:220:1:248:1893:25c8:1946']) {
+      assert.strictEqual(isPublicAddress(address), true, address);
+    }
+  });
+  
+  it('refuses loopback, private, link-local and reserved addresses', () => {
+    const addresses = [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '64:ff9b::a00:1', 'localhost'
+    ];
+    for (const address of addresses) {
+      assert.strictEqual(isPublicAddress(address), false, address);
+    }
+  });
+});
+
+describe('webhook subscriptions API', () => {
+  const api = startApi();
+  const previous = { file: subscriptionStore.file, subscriptions: subscriptionStore.subscriptions, deadLetters: subscriptionStore.deadLetters, loaded: subscriptionStore.loaded };
+  const subscription = { url: 'https://93.184.216.34/hooks/lottery', lotteries: ['sa_lotto'], events: ['new_result'] };
+  let dir;
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subscriptions-'));
+    Object.assign(subscriptionStore, { file: path.join(dir, 'subscriptions.json'), subscriptions: {}, deadLetters: [], loaded: true });
+  });
+  
+  afterEach(async () => {
+    await subscriptionStore.writeQueue;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  after(async () => {
+    Object.assign(subscriptionStore, previous);
+    await api.close();
+  });
+  
+  it('refuses webhook URLs on loopback, private and link-local addresses', async () => {
+    for (const url of ['http://127.0.0.1:8080/hook', 'http://localhost/hook', 'http://10.0.0.5/hook', 'http://169.254.169.254/latest', 'http://[::1]/hook']) {
+      const res = await api.request('POST', '/api/subscriptions', { body: Object.assign({}, subscription, { url }) });
+      assert.strictEqual(res.status, 400, url);
+    }
+  });
+  
+  it('only lets the holder of the token see and delete a subscription', async () => {
+    const created = await api.request('POST', '/api/subscriptions', { body: subscription });
+    assert.strictEqual(created.status, 201);
+    assert.ok(created.body.token && created.body.secret);
+    assert.strictEqual(created.body.tokenHash, undefined);
+    const other = await api.request('POST', '/api/subscriptions', { body: subscription });
+    const id = created.body.id;
+    
+    assert.strictEqual((await api.request('GET', '/api/subscriptions')).status, 401);
+    assert.strictEqual((await api.request('GET', `/api/subscriptions/${id}`, { headers: { 'X-Subscription-Token': other.body.token } })).status, 404);
+    assert.strictEqual((await api.request('DELETE', `/api/subscriptions/${id}`, { headers: { 'X-Subscription-Token': other.body.token } })).status, 404);
+    
+    const listed = await api.request('GET', '/api/subscriptions', { headers: { 'X-Subscription-Token': created.body.token } });
+    assert.deepStrictEqual(listed.body.map(entry => entry.id), [id]);
+    assert.strictEqual(listed.body[0].secret, undefined);
+    assert.strictEqual((await api.request('DELETE', `/api/subscriptions/${id}`, { headers: { 'X-Subscription-Token': created.body.token } })).status, 204);
+    assert.strictEqual(subscriptionStore.get(id), null);
+  });
+  
+  it('manages subscriptions made with the same token together', async () => {
+    const first = await api.request('POST', '/api/subscriptions', { body: subscription });
+    const headers = { 'X-Subscription-Token': first.body.token };
+    const second = await api.request('POST', '/api/subscriptions', { body: subscription, headers });
+    assert.strictEqual(second.body.token, first.body.token);
+    
+    const listed = await api.request('GET', '/api/subscriptions', { headers });
+    assert.deepStrictEqual(listed.body.map(entry => entry.id).sort(), [first.body.id, second.body.id].sort());
+    assert.strictEqual((await api.request('POST', '/api/subscriptions', { body: subscription, headers: { 'X-Subscription-Token': 'st_unknown' } })).status, 401);
+  });
+  
+  it('no longer serves the dead-letter list publicly', async () => {
+    const res = await api.request('GET', '/api/subscriptions/dead-letters');
+    assert.strictEqual(res.status, 401);
+  });
+});
+
+describe('webhook subscriptions made with an API key', () => {
+  const api = startApi();
+  const previous = { file: subscriptionStore.file, subscriptions: subscriptionStore.subscriptions, deadLetters: subscriptionStore.deadLetters, loaded: subscriptionStore.loaded };
+  const previousKeys = { file: apiKeyStore.file, keys: apiKeyStore.keys, byHash: apiKeyStore.byHash, loaded: apiKeyStore.loaded };
+  const subscription = { url: 'https://93.184.216.34/hooks/lottery', lotteries: ['sa_lotto'], events: ['new_result'] };
+  let dir;
+  
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subscriptions-'));
+    Object.assign(subscriptionStore, { file: path.join(dir, 'subscriptions.json'), subscriptions: {}, deadLetters: [], loaded: true });
+    Object.assign(apiKeyStore, { file: path.join(dir, 'api-keys.json'), keys: {}, byHash: {}, loaded: true });
+    // The requests without a key would otherwise share the anonymous limit with earlier tests
+    rateLimiter.buckets.clear();
+  });
+  
+  after(async () => {
+    clearTimeout(apiKeyStore.persistTimer);
+    apiKeyStore.persistTimer = null;
+    await Promise.all([subscriptionStore.writeQueue, apiKeyStore.writeQueue]);
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.assign(subscriptionStore, previous);
+    Object.assign(apiKeyStore, previousKeys);
+    await api.close();
+  });
+  
+  it('can only be managed with the key they were made with', async () => {
+    const owner = { 'X-API-Key': apiKeyStore.issue({ name: 'owner' }).key };
+    const other = { 'X-API-Key': apiKeyStore.issue({ name: 'other' }).key };
+    const created = await api.request('POST', '/api/subscriptions', { body: subscription, headers: owner });
+    assert.strictEqual(created.status, 201);
+    const url = `/api/subscriptions/${created.body.id}`;
+    const token = { 'X-Subscription-Token': created.body.token };
+    
+    for (const headers of [token, Object.assign({}, other, token)]) {
+      assert.strictEqual((await api.request('GET', url, { headers })).status, 404);
+      assert.deepStrictEqual((await api.request('GET', '/api/subscriptions', { headers })).body, []);
+      assert.strictEqual((await api.request('DELETE', url, { headers })).status, 404);
+      assert.strictEqual((await api.request('POST', '/api/subscriptions', { body: subscription, headers })).status, 401);
+    }
+    
+    const headers = Object.assign({}, owner, token);
+    assert.deepStrictEqual((await api.request('GET', '/api/subscriptions', { headers })).body.map(entry => entry.id), [created.body.id]);
+    assert.strictEqual((await api.request('DELETE', url, { headers })).status, 204);
+  });
+});
@@ -0,0 +1,34 @@
+const http = require('http');
+
+const { app } = require('../../server');
+
+// Run the app on a free local port for a test file. request() resolves with the
+// status, headers, raw text and parsed JSON body (when the response is JSON).
+function startApi() {
+  const server = http.createServer(app);
+  const ready = new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  const request = async (method, path, options = {}) => {
+    await ready;
+    const body = options.body === undefined ? null : JSON.stringify(options.body);
+    const headers = Object.assign(body ? { 'Content-Type': 'application/json' } : {}, options.headers);
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path, headers }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          const isJson = /json/.test(res.headers['content-type'] || '');
+          resolve({ status: res.statusCode, headers: res.headers, text, body: isJson && text ? JSON.parse(text) : null });
+        });
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  };
+  
+  const close = () => new Promise(resolve => server.close(resolve));
+  return { request, close };
+}
+
+module.exports = { startApi };
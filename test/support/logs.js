@@ -0,0 +1,6 @@
+const { logger } = require('../../server');
+
+// Keep log lines out of the test output; set LOG_LEVEL to see them
+if (!process.env.LOG_LEVEL) {
+  logger.level = 'silent';
+}
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { extractFromLottoland, findDrawForTicket, scoreTicket, LOTTERY_GAMES } = require('../server');
+
+const fixtures = path.join(__dirname, 'fixtures', 'samples', 'www.lottoland.co.za');
+
+// Lottery data extracted from a sample Lottoland page
+function extract(page, lotteryType) {
+  return extractFromLottoland(fs.readFileSync(path.join(fixtures, page), 'utf8'), lotteryType);
+}
+
+describe('ticket checking', () => {
+  it('quotes the scraped prize of the winning division', async () => {
+    const lotteryData = await extract('lotto-results-history.html', 'sa_lotto');
+    const draw = findDrawForTicket('sa_lotto', lotteryData);
+    const result = scoreTicket({ numbers: [4, 11, 19, 27, 38, 8] }, draw, LOTTERY_GAMES.sa_lotto);
+    
+    assert.strictEqual(result.drawDate, '2024-10-12');
+    assert.strictEqual(result.division, 'Division 2');
+    assert.strictEqual(result.prize.amount, 31254020);
+  });
+  
+  it('does not quote placeholder prizes', async () => {
+    const lotteryData = await extract('eurojackpot-results-history.html', 'euro_jackpot');
+    assert.strictEqual(lotteryData.provenance.fields.divisions.type, 'synthetic');
+    const draw = findDrawForTicket('euro_jackpot', lotteryData);
+    const result = scoreTicket({ numbers: [7, 14, 22, 35, 49], bonusNumbers: [3, 10] }, draw, LOTTERY_GAMES.euro_jackpot);
+    
+    assert.strictEqual(result.isWinner, true);
+    assert.strictEqual(result.division, 'Division 1');
+    assert.strictEqual(result.prize, null);
+  });
+  
+  it('ranks EuroJackpot 3 + 2 above 4 + 0', async () => {
+    const lotteryData = await extract('eurojackpot-results-history.html', 'euro_jackpot');
+    const draw = findDrawForTicket('euro_jackpot', lotteryData);
+    
+    const threePlusTwo = scoreTicket({ numbers: [7, 14, 22, 1, 2], bonusNumbers: [3, 10] }, draw, LOTTERY_GAMES.euro_jackpot);
+    assert.strictEqual(threePlusTwo.division, 'Division 6');
+    const fourPlusNone = scoreTicket({ numbers: [7, 14, 22, 35, 1], bonusNumbers: [1, 2] }, draw, LOTTERY_GAMES.euro_jackpot);
+    assert.strictEqual(fourPlusNone.division, 'Division 7');
+  });
+  
+  it('does not tie prizes to a placeholder draw date', async () => {
+    const lotteryData = await extract('lotto-results-history.html', 'sa_lotto');
+    lotteryData.provenance.fields.lastDrawDate = { type: 'synthetic', reason: 'No draw date found on the source page, defaulted to today' };
+    const draw = findDrawForTicket('sa_lotto', lotteryData);
+    const result = scoreTicket({ numbers: [4, 11, 19, 27, 38, 8] }, draw, LOTTERY_GAMES.sa_lotto);
+    
+    assert.strictEqual(result.drawDate, null);
+    assert.strictEqual(result.division, 'Division 2');
+    assert.strictEqual(result.prize, null);
+  });
+  
+  it('only reports a separately drawn ball as the powerball', async () => {
+    const lotto = await extract('lotto-results-history.html', 'sa_lotto');
+    assert.deepStrictEqual([lotto.bonusNumbers, lotto.powerball, lotto.hasPowerball], [[8], null, false]);
+    
+    const megaMillions = await extract('mega-millions-results-history.html', 'us_megamillions');
+    assert.deepStrictEqual([megaMillions.bonusNumbers, megaMillions.powerball, megaMillions.hasPowerball], [[21], 21, true]);
+  });
+});
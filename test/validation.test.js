@@ -0,0 +1,98 @@
+const assert = require('assert');
+
+const { validateDraw, validateDivisions, sourceHealth } = require('../server');
+
+describe('validateDraw', () => {
+  const now = new Date('2024-10-20T12:00:00Z');
+  
+  it('accepts a draw that follows the game rules', () => {
+    assert.deepStrictEqual(validateDraw('sa_lotto', { date: '2024-10-12', numbers: [4, 11, 19, 27, 38, 45], bonusNumbers: [8] }, now), []);
+  });
+  
+  it('rejects the wrong number of balls', () => {
+    const reasons = validateDraw('sa_lotto', { numbers: [4, 11, 19, 27, 38], bonusNumbers: [8] }, now);
+    assert.deepStrictEqual(reasons, ['numbers: expected 6 number(s), found 5']);
+  });
+  
+  it('rejects numbers outside the range, such as a year', () => {
+    const reasons = validateDraw('sa_lotto', { numbers: [4, 11, 19, 27, 38, 2024], bonusNumbers: [8] }, now);
+    assert.deepStrictEqual(reasons, ['numbers: 2024 outside 1-52']);
+  });
+  
+  it('rejects duplicate numbers and a bonus ball repeating a main number', () => {
+    const reasons = validateDraw('sa_lotto', { numbers: [4, 4, 19, 27, 38, 45], bonusNumbers: [19] }, now);
+    assert.deepStrictEqual(reasons, ['numbers: duplicate numbers', 'bonusNumbers: repeats a main number']);
+  });
+  
+  it('rejects a bonus ball outside its own range', () => {
+    const reasons = validateDraw('us_megamillions', { numbers: [3, 17, 42, 56, 68], bonusNumbers: [30] }, now);
+    assert.deepStrictEqual(reasons, ['bonusNumbers: 30 outside 1-24']);
+  });
+  
+  it('checks the ranges in force on the draw date', () => {
+    const megaMillions = { numbers: [3, 17, 42, 56, 68], bonusNumbers: [25] };
+    assert.deepStrictEqual(validateDraw('us_megamillions', Object.assign({ date: '2024-10-11' }, megaMillions), now), []);
+    assert.deepStrictEqual(validateDraw('us_megamillions', Object.assign({ date: '2025-04-08' }, megaMillions), new Date('2025-04-20T12:00:00Z')), ['bonusNumbers: 25 outside 1-24']);
+    assert.deepStrictEqual(validateDraw('us_megamillions', megaMillions, now), ['bonusNumbers: 25 outside 1-24']);
+    
+    const euroJackpot = { numbers: [7, 14, 22, 35, 49], bonusNumbers: [3, 11] };
+    assert.deepStrictEqual(validateDraw('euro_jackpot', Object.assign({ date: '2022-03-18' }, euroJackpot), now), ['bonusNumbers: 11 outside 1-10']);
+    assert.deepStrictEqual(validateDraw('euro_jackpot', Object.assign({ date: '2024-10-11' }, euroJackpot), now), []);
+  });
+  
+  it('rejects dates with no scheduled draw', () => {
+    const reasons = validateDraw('sa_lotto', { date: '2024-10-11', numbers: [4, 11, 19, 27, 38, 45], bonusNumbers: [8] }, now);
+    assert.deepStrictEqual(reasons, ['date: no draw is scheduled on 2024-10-11']);
+  });
+  
+  it('rejects draws that have not taken place yet', () => {
+    const reasons = validateDraw('sa_lotto', { date: '2024-10-23', numbers: [4, 11, 19, 27, 38, 45], bonusNumbers: [8] }, now);
+    assert.deepStrictEqual(reasons, ['date: the 2024-10-23 draw has not taken place yet']);
+  });
+});
+
+describe('validateDivisions', () => {
+  const prize = (amount) => ({ amount, currency: 'ZAR' });
+  
+  it('accepts prizes falling from the top division, skipping divisions without winners', () => {
+    assert.deepStrictEqual(validateDivisions([
+      { division: 'Division 1', prize: prize(0) },
+      { division: 'Division 2', prize: prize(31254020) },
+      { division: 'Division 3', prize: prize(621070) }
+    ]), []);
+  });
+  
+  it('rejects a lower division paying more than a higher one', () => {
+    assert.deepStrictEqual(validateDivisions([
+      { division: 'Division 2', prize: prize(621070) },
+      { division: 'Division 3', prize: prize(31254020) }
+    ]), ['divisions: Division 3 pays more than Division 2']);
+  });
+});
+
+describe('sourceHealth', () => {
+  const sourceId = 'validation-test';
+  afterEach(() => {
+    delete sourceHealth.sources[sourceId];
+  });
+  
+  it('counts results failing validation apart from failed fetches, without opening the circuit', () => {
+    for (let i = 0; i < sourceHealth.failureThreshold + 1; i++) {
+      sourceHealth.recordRejection(sourceId, 10, ['numbers: 2024 outside 1-52']);
+    }
+    const health = sourceHealth.describe(sourceId);
+    assert.strictEqual(health.rejections, sourceHealth.failureThreshold + 1);
+    assert.strictEqual(health.failures, 0);
+    assert.strictEqual(health.circuit, 'closed');
+    assert.deepStrictEqual(health.lastRejectionReasons, ['numbers: 2024 outside 1-52']);
+    assert.ok(sourceHealth.canAttempt(sourceId));
+  });
+  
+  it('opens the circuit after repeated failed fetches', () => {
+    for (let i = 0; i < sourceHealth.failureThreshold; i++) {
+      sourceHealth.recordFailure(sourceId, 10, new Error('Failed to load page, status code: 503'));
+    }
+    assert.strictEqual(sourceHealth.describe(sourceId).circuit, 'open');
+    assert.ok(!sourceHealth.canAttempt(sourceId));
+  });
+});